@@ -97,4 +97,88 @@ async function createTables(knex) {
     });
 }
 
-module.exports = { createTables };
+/**
+ * Adds a column to an existing table if it is missing.
+ * createTableIfNotExists never alters a table, so columns added after the
+ * initial schema have to be added this way for existing databases.
+ */
+async function addColumnIfMissing(knex, tableName, columnName, addColumn) {
+    const exists = await knex.schema.hasColumn(tableName, columnName);
+    if (!exists) {
+        await knex.schema.alterTable(tableName, table => addColumn(table));
+        console.log(`[DB] Added column '${columnName}' to table '${tableName}'.`);
+    }
+}
+
+/**
+ * Applies additive schema changes (new tables and columns) on top of the base schema.
+ * Safe to run on every startup, for both SQLite and PostgreSQL.
+ */
+async function migrateSchema(knex) {
+    // key_selection_settings: how each provider picks its next key, and the key weights for 'weighted'.
+    await knex.schema.createTableIfNotExists('key_selection_settings', table => {
+        table.text('provider_id').primary();
+        table.text('strategy').defaultTo('round_robin');
+        table.text('key_weights'); // JSON object of key ID to weight
+    });
+    // provider_keys: keys for built-in providers added in the admin panel (on top of the *_KEY env vars).
+    await knex.schema.createTableIfNotExists('provider_keys', table => {
+        table.increments('id').primary();
+        table.text('provider_id').notNullable();
+        table.text('key_id'); // See keyManager.getKeyId
+        table.text('key_value').notNullable(); // Encrypted when KEY_ENCRYPTION_KEY is set
+        table.timestamp('created_at').defaultTo(knex.fn.now());
+        table.unique(['provider_id', 'key_id']);
+    });
+    // key_status: each key's health and lifetime counters, so they survive restarts.
+    // Keys are identified by a hash (see keyManager.getKeyId), never stored in plain text here.
+    await knex.schema.createTableIfNotExists('key_status', table => {
+        table.text('provider_id').notNullable();
+        table.text('key_id').notNullable();
+        table.text('status');
+        table.integer('consecutive_fails').defaultTo(0);
+        table.timestamp('cooldown_until');
+        table.timestamp('last_checked_at');
+        table.text('last_error');
+        table.integer('success_count').defaultTo(0);
+        table.integer('failure_count').defaultTo(0);
+        table.integer('rate_limit_count').defaultTo(0);
+        table.timestamp('updated_at').defaultTo(knex.fn.now());
+        table.primary(['provider_id', 'key_id']);
+    });
+    // request_logs.attempts: every upstream attempt made for a request (key failover).
+    await addColumnIfMissing(knex, 'request_logs', 'attempts', table => table.jsonb('attempts'));
+    // request_logs.cache_hit: whether the response was served from the response cache.
+    await addColumnIfMissing(knex, 'request_logs', 'cache_hit', table => table.boolean('cache_hit').defaultTo(false));
+    // custom_providers.fallback_providers: comma-separated provider IDs tried when this provider fails.
+    await addColumnIfMissing(knex, 'custom_providers', 'fallback_providers', table => table.text('fallback_providers'));
+    // custom_providers.reasoning_mode: 'strip', 'passthrough' or 'reasoning_content'.
+    await addColumnIfMissing(knex, 'custom_providers', 'reasoning_mode', table => table.string('reasoning_mode').defaultTo('strip'));
+    // custom_providers.reasoning_tags: comma-separated `open|close` tag pairs (defaults to <think>|</think>).
+    await addColumnIfMissing(knex, 'custom_providers', 'reasoning_tags', table => table.text('reasoning_tags'));
+    await addColumnIfMissing(knex, 'custom_providers', 'reasoning_closing_tag_only', table => table.boolean('reasoning_closing_tag_only').defaultTo(false));
+    // custom_providers.response_cache_enabled: cache responses to identical non-streaming requests.
+    await addColumnIfMissing(knex, 'custom_providers', 'response_cache_enabled', table => table.boolean('response_cache_enabled').defaultTo(false));
+    // custom_providers.max_concurrency / max_concurrency_per_key: upstream concurrency limits (empty = unlimited).
+    await addColumnIfMissing(knex, 'custom_providers', 'max_concurrency', table => table.integer('max_concurrency'));
+    await addColumnIfMissing(knex, 'custom_providers', 'max_concurrency_per_key', table => table.integer('max_concurrency_per_key'));
+    // custom_providers.auth_scheme: how the key is sent (see keyManager.AUTH_SCHEMES; empty = the provider type's default).
+    await addColumnIfMissing(knex, 'custom_providers', 'auth_scheme', table => table.string('auth_scheme'));
+    // custom_providers.auth_query_param: the query parameter that carries the key for the 'query' scheme (empty = `key`).
+    await addColumnIfMissing(knex, 'custom_providers', 'auth_query_param', table => table.string('auth_query_param'));
+    // custom_providers.extra_headers: JSON object of headers sent with every request; `{{key}}` is replaced by the key.
+    await addColumnIfMissing(knex, 'custom_providers', 'extra_headers', table => table.text('extra_headers'));
+    // custom_providers.azure_deployment / azure_api_version: Azure OpenAI routing (provider_type 'azure').
+    await addColumnIfMissing(knex, 'custom_providers', 'azure_deployment', table => table.text('azure_deployment'));
+    await addColumnIfMissing(knex, 'custom_providers', 'azure_api_version', table => table.string('azure_api_version'));
+    // provider_keys.key_id: finds a stored key without decrypting it (filled in by keyManager.encryptStoredKeys).
+    await addColumnIfMissing(knex, 'provider_keys', 'key_id', table => table.text('key_id'));
+    // key_status usage columns: per-key request, status code and token totals for the admin panel.
+    await addColumnIfMissing(knex, 'key_status', 'request_count', table => table.integer('request_count').defaultTo(0));
+    await addColumnIfMissing(knex, 'key_status', 'status_counts', table => table.text('status_counts'));
+    await addColumnIfMissing(knex, 'key_status', 'input_tokens', table => table.bigInteger('input_tokens').defaultTo(0));
+    await addColumnIfMissing(knex, 'key_status', 'output_tokens', table => table.bigInteger('output_tokens').defaultTo(0));
+    await addColumnIfMissing(knex, 'key_status', 'last_used_at', table => table.timestamp('last_used_at'));
+}
+
+module.exports = { createTables, migrateSchema };
@@ -6,7 +6,10 @@ const promptService = require('../services/promptService');
 const keyManager = require('../services/keyManager');
 const tokenManager = require('../services/tokenManager');
 const customProviderManager = require('../services/customProviderManager');
+const providerKeyManager = require('../services/providerKeyManager');
 const logService = require('../services/logService');
+const concurrencyLimiter = require('../services/concurrencyLimiter');
+const keyRevalidationScheduler = require('../services/keyRevalidationScheduler');
 const pool = require('../config/db');
 
 const ADMIN_PASS = process.env.ADMIN_PASS || 'yomi123';
@@ -15,7 +18,8 @@ const ADMIN_PASS = process.env.ADMIN_PASS || 'yomi123';
 exports.renderLoginPage = (req, res) => res.render('admin-login');
 exports.renderDashboard = (req, res) => {
     const availableProviders = keyManager.getAvailableProviders();
-    res.render('admin', { availableProviders });
+    const builtInProviders = keyManager.BUILT_IN_PROVIDERS.map(p => p.toLowerCase());
+    res.render('admin', { availableProviders, builtInProviders });
 };
 
 // --- Authentication ---
@@ -33,7 +37,11 @@ exports.handleLogout = (req, res) => {
 };
 
 // --- API: Stats ---
-exports.getStats = (req, res) => res.json(statsService.getStats());
+exports.getStats = (req, res) => res.json({
+    ...statsService.getStats(),
+    queues: concurrencyLimiter.getQueueStats(),
+    keyRevalidation: keyRevalidationScheduler.getStatus(),
+});
 exports.getServerTime = (req, res) => {
     res.json({ serverTime: new Date().toISOString() });
 };
@@ -243,6 +251,98 @@ exports.updateLogSettings = async (req, res) => {
     }
 };
 
+// --- API: Keys ---
+exports.getKeys = (req, res) => {
+    res.json({ providers: keyManager.listKeys() });
+};
+
+exports.addKeys = async (req, res) => {
+    try {
+        const { provider, keys } = req.body;
+        if (!keyManager.isBuiltInProvider(provider)) {
+            return res.status(400).json({ error: 'Keys can only be added to built-in providers. Edit a custom provider to change its keys.' });
+        }
+        const keyList = String(keys || '').split(/[\s,]+/).map(k => k.trim()).filter(Boolean);
+        if (keyList.length === 0) {
+            return res.status(400).json({ error: 'No keys provided.' });
+        }
+        const added = await providerKeyManager.add(provider.toLowerCase(), keyList);
+        res.json({ success: true, added });
+    } catch (error) {
+        console.error('[adminController] Error adding keys:', error);
+        res.status(500).json({ error: 'Failed to add keys.', detail: error.message });
+    }
+};
+
+exports.deleteKey = async (req, res) => {
+    try {
+        const { provider, keyId } = req.params;
+        const key = keyManager.listKeys().find(p => p.provider === provider)?.keys.find(k => k.id === keyId);
+        if (key && key.source === 'env') {
+            return res.status(400).json({ error: 'This key comes from the .env file. Remove it there, or disable it here.' });
+        }
+        const removed = await providerKeyManager.remove(provider, keyId);
+        if (!removed) {
+            return res.status(404).json({ error: 'Key not found.' });
+        }
+        res.status(204).send();
+    } catch (error) {
+        console.error('[adminController] Error removing key:', error);
+        res.status(500).json({ error: 'Failed to remove key.', detail: error.message });
+    }
+};
+
+exports.updateKey = async (req, res) => {
+    try {
+        const { provider, keyId } = req.params;
+        const key = await keyManager.setKeyEnabled(provider, keyId, req.body.enabled !== false);
+        if (!key) {
+            return res.status(404).json({ error: 'Key not found.' });
+        }
+        res.json({ success: true, key });
+    } catch (error) {
+        console.error('[adminController] Error updating key:', error);
+        res.status(500).json({ error: 'Failed to update key.', detail: error.message });
+    }
+};
+
+exports.retestKey = async (req, res) => {
+    try {
+        const { provider, keyId } = req.params;
+        const key = await keyManager.retestKey(provider, keyId);
+        if (!key) {
+            return res.status(404).json({ error: 'Key not found.' });
+        }
+        res.json({ success: true, key });
+    } catch (error) {
+        console.error('[adminController] Error testing key:', error);
+        res.status(500).json({ error: 'Failed to test key.', detail: error.message });
+    }
+};
+
+// --- API: Key Selection ---
+exports.getKeySelection = (req, res) => {
+    const selection = keyManager.getKeySelection(req.query.provider);
+    if (!selection) {
+        return res.status(404).json({ error: 'Provider not found or has no keys loaded.' });
+    }
+    res.json(selection);
+};
+
+exports.updateKeySelection = async (req, res) => {
+    try {
+        const { provider, strategy, weights } = req.body;
+        if (!keyManager.getKeySelection(provider)) {
+            return res.status(404).json({ error: 'Provider not found or has no keys loaded.' });
+        }
+        await keyManager.setKeySelection(provider, strategy, weights);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[adminController] Error saving key selection:', error);
+        res.status(500).json({ error: 'Failed to save key selection.', detail: error.message });
+    }
+};
+
 // --- API: Custom Providers ---
 exports.getCustomProviders = async (req, res) => {
     try {
@@ -267,7 +367,19 @@ exports.saveCustomProvider = async (req, res) => {
             is_enabled,
             enforced_model_name,
             max_context_tokens,
-            max_output_tokens
+            max_output_tokens,
+            fallback_providers,
+            reasoning_mode,
+            reasoning_tags,
+            reasoning_closing_tag_only,
+            response_cache_enabled,
+            max_concurrency,
+            max_concurrency_per_key,
+            auth_scheme,
+            auth_query_param,
+            extra_headers,
+            azure_deployment,
+            azure_api_version
         } = req.body;
 
         const providerData = {
@@ -282,7 +394,19 @@ exports.saveCustomProvider = async (req, res) => {
             is_enabled,
             enforced_model_name,
             max_context_tokens,
-            max_output_tokens
+            max_output_tokens,
+            fallback_providers,
+            reasoning_mode,
+            reasoning_tags,
+            reasoning_closing_tag_only,
+            response_cache_enabled,
+            max_concurrency,
+            max_concurrency_per_key,
+            auth_scheme,
+            auth_query_param,
+            extra_headers,
+            azure_deployment,
+            azure_api_version
         };
 
         await customProviderManager.save(providerData);
@@ -7,7 +7,56 @@ const keyManager = require('../services/keyManager');
 const statsService = require('../services/statsService');
 const promptService = require('../services/promptService');
 const logService = require('../services/logService');
-const { filterThinkTags, ThinkTagStreamProcessor } = require('../services/thinkFilter');
+const cache = require('../services/cacheService');
+const responseCache = require('../services/responseCacheService');
+const concurrencyLimiter = require('../services/concurrencyLimiter');
+const { filterThinkTags, splitThinkTags, ThinkTagStreamProcessor } = require('../services/thinkFilter');
+const { SSEDecoder } = require('../services/sseDecoder');
+
+// Anthropic request details with no exact OpenAI equivalent (content blocks, tool definitions,
+// top_k) travel with the translated body under these symbols: Claude providers get them
+// unchanged, and JSON.stringify never sends them to anyone else.
+const CLAUDE_CONTENT = Symbol('claudeContent');
+const CLAUDE_TOOLS = Symbol('claudeTools');
+const CLAUDE_TOP_K = Symbol('claudeTopK');
+
+// --- Multimodal content ---
+// OpenAI messages may carry an array of parts (text + image_url) instead of a string.
+
+/**
+ * Splits a base64 data URL into its media type and payload.
+ * @returns {{mediaType: string, data: string}|null} Null if the URL is not a base64 data URL.
+ */
+function parseDataUrl(url) {
+    const match = typeof url === 'string' ? url.match(/^data:([^;,]+);base64,(.*)$/s) : null;
+    return match ? { mediaType: match[1], data: match[2] } : null;
+}
+
+/**
+ * Converts OpenAI message content (string or parts) into Claude content blocks.
+ */
+function openAIContentToClaudeBlocks(content) {
+    if (typeof content === 'string') {
+        return content.trim() !== '' ? [{ type: 'text', text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const blocks = [];
+    for (const part of content) {
+        if (part?.type === 'text' && typeof part.text === 'string' && part.text.trim() !== '') {
+            blocks.push({ type: 'text', text: part.text });
+        } else if (part?.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            const dataUrl = parseDataUrl(url);
+            if (dataUrl) {
+                blocks.push({ type: 'image', source: { type: 'base64', media_type: dataUrl.mediaType, data: dataUrl.data } });
+            } else if (url) {
+                blocks.push({ type: 'image', source: { type: 'url', url } });
+            }
+        }
+    }
+    return blocks;
+}
 
 /**
  * --- REWRITTEN & CORRECTED ---
@@ -19,19 +68,52 @@ function formatFinalMessagesForClaude(finalMessages) {
     const message_blocks = [];
 
     for (const message of finalMessages) {
+        const original = message[CLAUDE_CONTENT];
+        if (original && original.content === message.content && original.blocks.length > 0) {
+            // Turns that arrived through /v1/messages go out exactly as the client sent them
+            // (tool_use and tool_result blocks included), unless the prompt pipeline changed them.
+            message_blocks.push({ role: message.role === 'tool' ? 'user' : message.role, content: [...original.blocks] });
+            continue;
+        }
+        const blocks = openAIContentToClaudeBlocks(message.content);
+
+        if (message.role === 'tool') {
+            // OpenAI tool results become tool_result blocks in a user turn.
+            message_blocks.push({
+                role: 'user',
+                content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: blocks }]
+            });
+            continue;
+        }
+
+        if (message.role === 'assistant' && Array.isArray(message.tool_calls) && message.tool_calls.length > 0) {
+            // An assistant turn that called tools becomes its text (if any) plus tool_use blocks.
+            const content = blocks;
+            for (const toolCall of message.tool_calls) {
+                content.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function?.name,
+                    input: parseToolArguments(toolCall.function?.arguments),
+                });
+            }
+            message_blocks.push({ role: 'assistant', content });
+            continue;
+        }
+
         // Skip any empty messages that might have slipped through.
-        if (!message.content || typeof message.content !== 'string' || message.content.trim() === '') {
+        if (blocks.length === 0) {
             continue;
         }
 
         if (message.role === 'system') {
-            // Add the content as a text block to the system prompt array.
-            system_blocks.push({ type: 'text', text: message.content });
+            // Add the text blocks to the system prompt array (Claude's system prompt can't hold images).
+            system_blocks.push(...blocks.filter(block => block.type === 'text'));
         } else if (['user', 'assistant'].includes(message.role)) {
             // Create a full Claude message object. The 'content' itself is an array of blocks.
             message_blocks.push({
                 role: message.role,
-                content: [{ type: 'text', text: message.content }]
+                content: blocks
             });
         }
     }
@@ -55,9 +137,152 @@ function formatFinalMessagesForClaude(finalMessages) {
 }
 
 
+// --- Reasoning ---
+// How model reasoning reaches the client is set per provider (config.reasoningMode):
+// 'strip' drops it, 'passthrough' leaves it in the reply untouched, and 'reasoning_content'
+// moves it into the OpenAI-style `reasoning_content` field popularized by DeepSeek.
+// Which tags mark reasoning in the reply text is also set per provider.
+
+/**
+ * Returns the think filter options (reasoning tags) configured for a provider.
+ */
+function thinkFilterOptions(providerConfig) {
+    return { tags: providerConfig.reasoningTags, closingTagOnly: providerConfig.reasoningClosingTagOnly };
+}
+
+/**
+ * Applies a provider's reasoning mode to generated text that may contain think blocks.
+ * @param {object} providerConfig - The provider's configuration.
+ * @param {string} text - A complete reply, or a stream delta.
+ * @param {ThinkTagStreamProcessor} [streamProcessor] - The stream's processor, when `text` is a delta.
+ * @returns {{content: string, reasoning: string}} The reply text, and the reasoning to send separately.
+ */
+function applyReasoningMode(providerConfig, text, streamProcessor) {
+    const mode = providerConfig.reasoningMode;
+    if (mode === 'passthrough') return { content: text, reasoning: '' };
+    const { content, reasoning } = streamProcessor ? streamProcessor.split(text) : splitThinkTags(text, thinkFilterOptions(providerConfig));
+    return { content, reasoning: mode === 'reasoning_content' ? reasoning : '' };
+}
+
+/**
+ * Adds the text a stream's processor is still holding back (a possible partial tag,
+ * or an unfinished think block) to the stream's last delta.
+ * @param {object} delta - The delta to add to, modified in place.
+ * @returns {boolean} Whether anything was added.
+ */
+function appendHeldBackText(delta, providerConfig, streamProcessor) {
+    if (providerConfig.reasoningMode === 'passthrough') return false;
+    const { content, reasoning } = streamProcessor.flush();
+    const keepReasoning = Boolean(reasoning) && providerConfig.reasoningMode === 'reasoning_content';
+    if (content) delta.content = (delta.content || '') + content;
+    if (keepReasoning) delta.reasoning_content = (delta.reasoning_content || '') + reasoning;
+    return Boolean(content) || keepReasoning;
+}
+
+/**
+ * Applies a provider's reasoning mode to reasoning that the upstream already sends apart
+ * from the reply (`reasoning_content` from DeepSeek, `reasoning` from OpenRouter).
+ * @param {object} target - A message or stream delta, modified in place.
+ */
+function applyReasoningModeToFields(target, mode) {
+    if (mode === 'strip') {
+        delete target.reasoning_content;
+        delete target.reasoning;
+    } else if (mode === 'reasoning_content' && target.reasoning) {
+        target.reasoning_content = (target.reasoning_content || '') + target.reasoning;
+        delete target.reasoning;
+    }
+}
+
+const REASONING_EFFORT_BUDGETS = { low: 1024, medium: 4096, high: 16384 };
+
+/**
+ * Resolves Claude's extended thinking settings from the request: either Anthropic's own
+ * `thinking` object or OpenAI's `reasoning_effort`.
+ * @returns {{type: 'enabled', budget_tokens: number}|null}
+ */
+function resolveClaudeThinking(body) {
+    if (body.thinking?.type === 'enabled') {
+        const budget = parseInt(body.thinking.budget_tokens, 10);
+        // 1024 is the smallest budget Claude accepts.
+        return { type: 'enabled', budget_tokens: Math.max(1024, isNaN(budget) ? 1024 : budget) };
+    }
+    const budget = REASONING_EFFORT_BUDGETS[body.reasoning_effort];
+    return budget ? { type: 'enabled', budget_tokens: budget } : null;
+}
+
+// --- Tool calling ---
+
+const CLAUDE_TO_OPENAI_STOP_REASON = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+};
+
+function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args !== 'string') return args;
+    try {
+        return JSON.parse(args);
+    } catch (e) {
+        console.warn(`[Tools] Could not parse tool call arguments as JSON, sending them as a raw string.`);
+        return { raw: args };
+    }
+}
+
+/**
+ * Converts OpenAI `tools` definitions into Claude tool definitions.
+ */
+function openAIToolsToClaude(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return undefined;
+    return tools
+        .filter(tool => tool.type === 'function' && tool.function?.name)
+        .map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters || { type: 'object', properties: {} },
+        }));
+}
+
+/**
+ * Converts an OpenAI `tool_choice` (and `parallel_tool_calls`) into a Claude tool_choice.
+ */
+function openAIToolChoiceToClaude(toolChoice, parallelToolCalls) {
+    let claudeChoice;
+    if (toolChoice === 'auto') claudeChoice = { type: 'auto' };
+    else if (toolChoice === 'none') claudeChoice = { type: 'none' };
+    else if (toolChoice === 'required') claudeChoice = { type: 'any' };
+    else if (toolChoice?.type === 'function' && toolChoice.function?.name) claudeChoice = { type: 'tool', name: toolChoice.function.name };
+
+    if (parallelToolCalls === false) {
+        claudeChoice = { ...(claudeChoice || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+    return claudeChoice;
+}
+
 function claudeToOpenAIResponse(claudeResponse, providerConfig) {
-    const content = claudeResponse.content?.[0]?.text || '';
-    const filteredContent = filterThinkTags(content); // <-- Filter <think> tags
+    const blocks = claudeResponse.content || [];
+    const mode = providerConfig.reasoningMode;
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    const thinking = blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join('');
+    const { content, reasoning } = applyReasoningMode(providerConfig, text);
+
+    const message = { role: 'assistant', content };
+    if (mode === 'passthrough' && thinking) {
+        message.content = `<think>${thinking}</think>${content}`;
+    } else if (mode === 'reasoning_content' && (thinking || reasoning)) {
+        message.reasoning_content = thinking + reasoning;
+    }
+    const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+    }));
+    if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls;
+        if (!message.content) message.content = null;
+    }
 
     return {
         id: claudeResponse.id,
@@ -66,8 +291,8 @@ function claudeToOpenAIResponse(claudeResponse, providerConfig) {
         model: providerConfig.modelId,
         choices: [{
             index: 0,
-            message: { role: 'assistant', content: filteredContent }, // <-- Use filtered content
-            finish_reason: claudeResponse.stop_reason,
+            message,
+            finish_reason: CLAUDE_TO_OPENAI_STOP_REASON[claudeResponse.stop_reason] || claudeResponse.stop_reason,
         }],
         usage: {
             prompt_tokens: claudeResponse.usage.input_tokens,
@@ -77,23 +302,67 @@ function claudeToOpenAIResponse(claudeResponse, providerConfig) {
     };
 }
 
-function claudeStreamChunkToOpenAI(claudeChunk, providerConfig, streamProcessor) {
+/**
+ * Converts one Claude stream event into an OpenAI stream chunk.
+ * @param {Map<number, number>} toolCallIndexes - Per-stream map of Claude content block index to OpenAI tool call index.
+ * @param {Set<number>} thinkingBlocks - Per-stream set of the indexes of Claude thinking blocks.
+ */
+function claudeStreamChunkToOpenAI(claudeChunk, providerConfig, streamProcessor, toolCallIndexes, thinkingBlocks) {
+    const mode = providerConfig.reasoningMode;
     let choices = [];
     let finish_reason = null;
     switch (claudeChunk.type) {
+        case 'content_block_start':
+            if (claudeChunk.content_block?.type === 'thinking') {
+                thinkingBlocks.add(claudeChunk.index);
+                if (mode === 'passthrough') choices.push({ index: 0, delta: { content: '<think>' }, finish_reason: null });
+            } else if (claudeChunk.content_block?.type === 'tool_use') {
+                const toolIndex = toolCallIndexes.size;
+                toolCallIndexes.set(claudeChunk.index, toolIndex);
+                choices.push({
+                    index: 0,
+                    delta: {
+                        tool_calls: [{
+                            index: toolIndex,
+                            id: claudeChunk.content_block.id,
+                            type: 'function',
+                            function: { name: claudeChunk.content_block.name, arguments: '' },
+                        }]
+                    },
+                    finish_reason: null
+                });
+            }
+            break;
         case 'content_block_delta':
             if (claudeChunk.delta?.type === 'text_delta') {
                 // Process the text through the stateful filter
-                const filteredText = streamProcessor.process(claudeChunk.delta.text);
+                const { content, reasoning } = applyReasoningMode(providerConfig, claudeChunk.delta.text, streamProcessor);
                 // Only create a choice if there's content left after filtering
-                if (filteredText) {
-                    choices.push({ index: 0, delta: { content: filteredText }, finish_reason: null });
+                if (content || reasoning) {
+                    const delta = {};
+                    if (content) delta.content = content;
+                    if (reasoning) delta.reasoning_content = reasoning;
+                    choices.push({ index: 0, delta, finish_reason: null });
                 }
+            } else if (claudeChunk.delta?.type === 'thinking_delta') {
+                if (mode === 'passthrough') choices.push({ index: 0, delta: { content: claudeChunk.delta.thinking }, finish_reason: null });
+                else if (mode === 'reasoning_content') choices.push({ index: 0, delta: { reasoning_content: claudeChunk.delta.thinking }, finish_reason: null });
+            } else if (claudeChunk.delta?.type === 'input_json_delta' && toolCallIndexes.has(claudeChunk.index)) {
+                choices.push({
+                    index: 0,
+                    delta: { tool_calls: [{ index: toolCallIndexes.get(claudeChunk.index), function: { arguments: claudeChunk.delta.partial_json } }] },
+                    finish_reason: null
+                });
+            }
+            break;
+        case 'content_block_stop':
+            if (mode === 'passthrough' && thinkingBlocks.has(claudeChunk.index)) {
+                choices.push({ index: 0, delta: { content: '</think>' }, finish_reason: null });
             }
             break;
         case 'message_delta':
             if (claudeChunk.delta?.stop_reason) {
-                finish_reason = claudeChunk.delta.stop_reason;
+                finish_reason = CLAUDE_TO_OPENAI_STOP_REASON[claudeChunk.delta.stop_reason] || claudeChunk.delta.stop_reason;
                  choices.push({ index: 0, delta: {}, finish_reason: finish_reason });
             }
             break;
@@ -110,69 +379,968 @@ function claudeStreamChunkToOpenAI(claudeChunk, providerConfig, streamProcessor)
     };
 }
 
-exports.proxyRequest = async (req, res, provider) => {
+// --- Gemini ---
+
+const GEMINI_FINISH_REASONS = {
+    STOP: 'stop',
+    MAX_TOKENS: 'length',
+    SAFETY: 'content_filter',
+    RECITATION: 'content_filter',
+    BLOCKLIST: 'content_filter',
+    PROHIBITED_CONTENT: 'content_filter',
+    SPII: 'content_filter',
+};
+
+function geminiFinishReasonToOpenAI(finishReason) {
+    if (!finishReason || finishReason === 'FINISH_REASON_UNSPECIFIED') return null;
+    return GEMINI_FINISH_REASONS[finishReason] || 'stop';
+}
+
+/**
+ * Converts OpenAI message content (string or parts) into Gemini parts.
+ * Gemini only accepts inline image bytes, so remote image URLs are passed as a text
+ * reference rather than having the proxy download arbitrary user-supplied URLs.
+ */
+function openAIContentToGeminiParts(content) {
+    if (typeof content === 'string') {
+        return content.trim() !== '' ? [{ text: content }] : [];
+    }
+    if (!Array.isArray(content)) return [];
+
+    const parts = [];
+    for (const part of content) {
+        if (part?.type === 'text' && typeof part.text === 'string' && part.text.trim() !== '') {
+            parts.push({ text: part.text });
+        } else if (part?.type === 'image_url') {
+            const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+            const dataUrl = parseDataUrl(url);
+            if (dataUrl) {
+                parts.push({ inlineData: { mimeType: dataUrl.mediaType, data: dataUrl.data } });
+            } else if (url) {
+                console.warn('[Gemini] Remote image URLs are not supported, sending the URL as text instead.');
+                parts.push({ text: `[Image: ${url}]` });
+            }
+        }
+    }
+    return parts;
+}
+
+/**
+ * Formats the final message array from promptService for the Gemini generateContent API.
+ * System messages become the systemInstruction, and consecutive turns with the same
+ * role are merged, since Gemini expects user/model turns to alternate.
+ */
+function formatFinalMessagesForGemini(finalMessages) {
+    const systemParts = [];
+    const contents = [];
+
+    for (const message of finalMessages) {
+        const parts = openAIContentToGeminiParts(message.content);
+        if (parts.length === 0) {
+            continue;
+        }
+
+        if (message.role === 'system') {
+            systemParts.push(...parts.filter(part => part.text !== undefined));
+            continue;
+        }
+
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const lastContent = contents[contents.length - 1];
+        if (lastContent && lastContent.role === role) {
+            lastContent.parts.push(...parts);
+        } else {
+            contents.push({ role, parts });
+        }
+    }
+
+    return {
+        systemInstruction: systemParts.length > 0 ? { parts: systemParts } : undefined,
+        contents,
+    };
+}
+
+/**
+ * Picks the Gemini model for a request: the client's model if it names a Gemini model,
+ * otherwise the one configured for the provider (GEMINI_MODEL).
+ */
+function resolveGeminiModel(requestedModel, providerConfig) {
+    const model = typeof requestedModel === 'string' ? requestedModel.replace(/^models\//, '') : '';
+    return model.startsWith('gemini-') ? model : providerConfig.modelId;
+}
+
+function geminiCandidateText(candidate) {
+    return (candidate?.content?.parts || []).map(part => part.text || '').join('');
+}
+
+function geminiUsageToOpenAI(usageMetadata) {
+    const promptTokens = usageMetadata?.promptTokenCount || 0;
+    const completionTokens = usageMetadata?.candidatesTokenCount || 0;
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+function geminiToOpenAIResponse(geminiResponse, model) {
+    const candidate = geminiResponse.candidates?.[0];
+    return {
+        id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices: [{
+            index: 0,
+            message: { role: 'assistant', content: geminiCandidateText(candidate) },
+            finish_reason: geminiFinishReasonToOpenAI(candidate?.finishReason) || 'stop',
+        }],
+        usage: geminiUsageToOpenAI(geminiResponse.usageMetadata),
+    };
+}
+
+/**
+ * Converts one `streamGenerateContent?alt=sse` event into an OpenAI stream chunk.
+ * The chunk carrying the finish reason also carries the usage reported so far.
+ */
+function geminiStreamChunkToOpenAI(geminiChunk, model, streamProcessor, providerConfig) {
+    const candidate = geminiChunk.candidates?.[0];
+    const choices = [];
+
+    const text = geminiCandidateText(candidate);
+    const { content, reasoning } = text ? applyReasoningMode(providerConfig, text, streamProcessor) : { content: '', reasoning: '' };
+    const finishReason = geminiFinishReasonToOpenAI(candidate?.finishReason);
+
+    if (content || reasoning || finishReason) {
+        const delta = {};
+        if (content) delta.content = content;
+        if (reasoning) delta.reasoning_content = reasoning;
+        choices.push({ index: 0, delta, finish_reason: finishReason });
+    }
+    if (choices.length === 0) return null;
+
+    const openaiChunk = {
+        id: `chatcmpl-${crypto.randomBytes(12).toString('hex')}`,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model,
+        choices,
+    };
+    if (finishReason && geminiChunk.usageMetadata) {
+        openaiChunk.usage = geminiUsageToOpenAI(geminiChunk.usageMetadata);
+    }
+    return openaiChunk;
+}
+
+// --- Anthropic Messages API (inbound) ---
+// Requests arriving at /v1/messages are translated into the OpenAI-style body the
+// prompt pipeline works on, and responses are translated back for OpenAI-type providers.
+
+const OPENAI_TO_CLAUDE_STOP_REASON = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use',
+    content_filter: 'end_turn',
+};
+
+function claudeContentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+}
+
+/**
+ * Converts Claude message content into OpenAI content: a string when it is text only,
+ * otherwise an array of text and image_url parts.
+ */
+function claudeContentToOpenAI(content) {
+    if (!Array.isArray(content) || !content.some(block => block.type === 'image')) {
+        return claudeContentToText(content);
+    }
+    const parts = [];
+    for (const block of content) {
+        if (block.type === 'text') {
+            parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image' && block.source?.type === 'base64') {
+            parts.push({ type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } });
+        } else if (block.type === 'image' && block.source?.type === 'url') {
+            parts.push({ type: 'image_url', image_url: { url: block.source.url } });
+        }
+    }
+    return parts;
+}
+
+/**
+ * Keeps the Claude blocks an OpenAI message was translated from, for Claude providers.
+ */
+function withClaudeContent(openaiMessage, blocks) {
+    openaiMessage[CLAUDE_CONTENT] = { content: openaiMessage.content, blocks };
+    return openaiMessage;
+}
+
+/**
+ * Converts one Claude message into OpenAI messages. tool_use blocks become the assistant's
+ * `tool_calls`, and every tool_result block becomes a `role: "tool"` message, placed ahead
+ * of the rest of its user turn.
+ * @returns {Array<object>}
+ */
+function claudeMessageToOpenAI(message) {
+    if (!Array.isArray(message.content)) {
+        return [{ role: message.role, content: claudeContentToOpenAI(message.content) }];
+    }
+    const blocks = message.content;
+
+    if (message.role === 'assistant') {
+        const openaiMessage = { role: 'assistant', content: claudeContentToOpenAI(blocks) };
+        const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+            id: block.id,
+            type: 'function',
+            function: { name: block.name, arguments: JSON.stringify(block.input || {}) },
+        }));
+        if (toolCalls.length > 0) {
+            openaiMessage.tool_calls = toolCalls;
+            if (!openaiMessage.content) openaiMessage.content = null;
+        }
+        return [withClaudeContent(openaiMessage, blocks)];
+    }
+
+    const toolResults = blocks.filter(block => block.type === 'tool_result');
+    const rest = blocks.filter(block => block.type !== 'tool_result');
+    const messages = toolResults.map(block => {
+        // OpenAI tool messages carry text only.
+        const text = claudeContentToText(block.content);
+        return withClaudeContent({ role: 'tool', tool_call_id: block.tool_use_id, content: block.is_error ? `Error: ${text}` : text }, [block]);
+    });
+    if (rest.length > 0 || toolResults.length === 0) {
+        messages.push(withClaudeContent({ role: message.role, content: claudeContentToOpenAI(rest) }, rest));
+    }
+    return messages;
+}
+
+/**
+ * Converts Claude tool definitions into OpenAI `tools`. Anthropic's server tools
+ * (e.g. web search) only exist on Claude, so they are left out.
+ */
+function claudeToolsToOpenAI(tools) {
+    if (!Array.isArray(tools) || tools.length === 0) return undefined;
+    const functions = tools.filter(tool => !tool.type || tool.type === 'custom');
+    if (functions.length < tools.length) {
+        console.warn(`[Tools] ${tools.length - functions.length} Anthropic server tool(s) can only be used with Claude providers and were left out.`);
+    }
+    return functions.map(tool => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.input_schema },
+    }));
+}
+
+/**
+ * Converts a Claude tool_choice into OpenAI's `tool_choice` and `parallel_tool_calls`.
+ */
+function claudeToolChoiceToOpenAI(toolChoice) {
+    if (!toolChoice) return {};
+    const choices = { auto: 'auto', any: 'required', none: 'none' };
+    const result = {
+        tool_choice: toolChoice.type === 'tool' ? { type: 'function', function: { name: toolChoice.name } } : choices[toolChoice.type],
+    };
+    if (toolChoice.disable_parallel_tool_use) result.parallel_tool_calls = false;
+    return result;
+}
+
+/**
+ * Converts an Anthropic Messages API request body into the OpenAI chat format used by
+ * promptService. This is the inverse of formatFinalMessagesForClaude.
+ * @param {object} claudeBody - The incoming /v1/messages request body.
+ * @returns {object} An OpenAI-style chat completion request body.
+ */
+function claudeRequestToOpenAI(claudeBody) {
+    const messages = [];
+    const systemText = claudeContentToText(claudeBody.system);
+    if (systemText.trim()) {
+        messages.push({ role: 'system', content: systemText });
+    }
+    for (const message of claudeBody.messages || []) {
+        messages.push(...claudeMessageToOpenAI(message));
+    }
+
+    const body = {
+        model: claudeBody.model,
+        messages,
+        max_tokens: claudeBody.max_tokens,
+        stream: claudeBody.stream || false,
+        temperature: claudeBody.temperature,
+        top_p: claudeBody.top_p,
+        stop: claudeBody.stop_sequences,
+        thinking: claudeBody.thinking,
+        // top_k is not an OpenAI parameter, and many OpenAI-compatible APIs reject it.
+        [CLAUDE_TOP_K]: claudeBody.top_k,
+    };
+    const tools = claudeToolsToOpenAI(claudeBody.tools);
+    if (tools?.length) {
+        Object.assign(body, { tools }, claudeToolChoiceToOpenAI(claudeBody.tool_choice));
+    }
+    if (Array.isArray(claudeBody.tools) && claudeBody.tools.length > 0) {
+        body[CLAUDE_TOOLS] = { tools: claudeBody.tools, tool_choice: claudeBody.tool_choice };
+    }
+    return body;
+}
+
+/**
+ * Converts a (think-filtered) OpenAI chat completion into an Anthropic Messages response.
+ * This is the inverse of claudeToOpenAIResponse.
+ */
+function openAIToClaudeResponse(openaiResponse, model) {
+    const choice = openaiResponse.choices?.[0] || {};
+    const usage = openaiResponse.usage || {};
+    const toolUses = (choice.message?.tool_calls || []).map(toolCall => ({
+        type: 'tool_use',
+        id: toolCall.id,
+        name: toolCall.function?.name,
+        input: parseToolArguments(toolCall.function?.arguments),
+    }));
+    const text = choice.message?.content || '';
+    return {
+        id: `msg_${crypto.randomBytes(12).toString('hex')}`,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: (text || toolUses.length === 0 ? [{ type: 'text', text }] : []).concat(toolUses),
+        stop_reason: OPENAI_TO_CLAUDE_STOP_REASON[choice.finish_reason] || 'end_turn',
+        stop_sequence: null,
+        usage: {
+            input_tokens: usage.prompt_tokens || 0,
+            output_tokens: usage.completion_tokens || 0,
+        },
+    };
+}
+
+/**
+ * Re-emits OpenAI chat.completion.chunk objects as Anthropic Messages SSE events
+ * (message_start, content_block_*, message_delta, message_stop).
+ */
+class OpenAIToClaudeStreamWriter {
+    constructor(res, model) {
+        this.res = res;
+        this.model = model;
+        this.started = false;
+        // The content block being written: { index, type: 'text' } or { index, type: 'tool_use', toolIndex }.
+        this.openBlock = null;
+        this.nextBlockIndex = 0;
+        this.stopReason = null;
+        this.outputTokens = 0;
+    }
+
+    writeEvent(type, data) {
+        this.res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+        this.writeEvent('message_start', {
+            message: {
+                id: `msg_${crypto.randomBytes(12).toString('hex')}`,
+                type: 'message',
+                role: 'assistant',
+                model: this.model,
+                content: [],
+                stop_reason: null,
+                stop_sequence: null,
+                usage: { input_tokens: 0, output_tokens: 0 },
+            }
+        });
+    }
+
+    /**
+     * Starts a new content block, closing the one before it.
+     */
+    openContentBlock(contentBlock, toolIndex) {
+        this.closeContentBlock();
+        this.openBlock = { index: this.nextBlockIndex++, type: contentBlock.type, toolIndex };
+        this.writeEvent('content_block_start', { index: this.openBlock.index, content_block: contentBlock });
+    }
+
+    closeContentBlock() {
+        if (!this.openBlock) return;
+        this.writeEvent('content_block_stop', { index: this.openBlock.index });
+        this.openBlock = null;
+    }
+
+    /**
+     * @param {object} chunk - A parsed (and already think-filtered) OpenAI stream chunk.
+     */
+    write(chunk) {
+        this.start();
+        const choice = chunk.choices?.[0];
+        const text = choice?.delta?.content;
+        if (text) {
+            if (this.openBlock?.type !== 'text') {
+                this.openContentBlock({ type: 'text', text: '' });
+            }
+            this.writeEvent('content_block_delta', { index: this.openBlock.index, delta: { type: 'text_delta', text } });
+        }
+        // Tool calls stream as tool_use blocks, their arguments as input_json_delta.
+        for (const toolCall of choice?.delta?.tool_calls || []) {
+            const toolIndex = toolCall.index ?? 0;
+            if (this.openBlock?.type !== 'tool_use' || this.openBlock.toolIndex !== toolIndex) {
+                this.openContentBlock({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: {} }, toolIndex);
+            }
+            if (toolCall.function?.arguments) {
+                this.writeEvent('content_block_delta', { index: this.openBlock.index, delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments } });
+            }
+        }
+        if (choice?.finish_reason) {
+            this.stopReason = OPENAI_TO_CLAUDE_STOP_REASON[choice.finish_reason] || 'end_turn';
+        }
+        if (chunk.usage?.completion_tokens) {
+            this.outputTokens = chunk.usage.completion_tokens;
+        }
+    }
+
+    end() {
+        this.start();
+        this.closeContentBlock();
+        this.writeEvent('message_delta', {
+            delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+            usage: { output_tokens: this.outputTokens },
+        });
+        this.writeEvent('message_stop', {});
+    }
+}
+
+/**
+ * Builds an error body in the shape the client's API expects.
+ * @param {'openai'|'anthropic'} responseFormat - The API format the client is speaking.
+ */
+function formatProxyError(responseFormat, message, type = 'api_error') {
+    if (responseFormat === 'anthropic') {
+        return { type: 'error', error: { type, message } };
+    }
+    return { error: message };
+}
+
+// Anthropic's error type for each HTTP status; anything else is an 'api_error'.
+const CLAUDE_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    529: 'overloaded_error',
+};
+
+/**
+ * Converts a provider's error body into Anthropic's error shape, for /v1/messages clients.
+ * Claude providers already answer in that shape, so their errors pass through.
+ */
+function toClaudeError(status, errorData) {
+    if (errorData?.type === 'error' && errorData.error) return errorData;
+    const error = errorData?.error;
+    let message = (typeof error === 'string' ? error : error?.message) || errorData?.message;
+    if (typeof errorData?.detail === 'string') message = message ? `${message}: ${errorData.detail}` : errorData.detail;
+    return formatProxyError('anthropic', message || JSON.stringify(errorData), CLAUDE_ERROR_TYPES[status] || 'api_error');
+}
+
+/**
+ * Handles POST /:providerId/v1/messages (Anthropic Messages API).
+ * The request runs through the same pipeline as chat completions; only the
+ * request and response shapes differ.
+ */
+exports.proxyMessagesRequest = async (req, res, provider) => {
+    if (!Array.isArray(req.body?.messages)) {
+        return res.status(400).json(formatProxyError('anthropic', 'messages: Field required', 'invalid_request_error'));
+    }
+    return exports.proxyRequest(req, res, provider, {
+        body: claudeRequestToOpenAI(req.body),
+        responseFormat: 'anthropic',
+    });
+};
+
+// Models advertised by /v1/models for built-in providers. The proxy forwards the
+// client's model name untouched for these, so this is only a sensible default list.
+const BUILT_IN_MODELS = {
+    gemini: ['gemini-1.5-pro', 'gemini-1.5-flash', 'gemini-pro'],
+    deepseek: ['deepseek-chat', 'deepseek-reasoner'],
+    openai: ['gpt-4o', 'gpt-4o-mini', 'gpt-4-turbo', 'gpt-3.5-turbo'],
+    openrouter: ['openrouter/auto'],
+    mistral: ['mistral-large-latest', 'mistral-small-latest', 'open-mistral-nemo'],
+    claude: ['claude-3-opus-20240229'],
+};
+
+const UPSTREAM_MODELS_CACHE_TTL = 600; // seconds
+
+function toOpenAIModel(id, ownedBy, displayName) {
+    const model = { id, object: 'model', created: 0, owned_by: ownedBy };
+    if (displayName && displayName !== id) model.display_name = displayName;
+    return model;
+}
+
+/**
+ * Fetches the model list from an OpenAI-compatible custom provider.
+ * Results are cached so clients probing /v1/models don't spend upstream requests.
+ * @returns {Promise<string[]|null>} The upstream model IDs, or null if the lookup failed.
+ */
+async function fetchUpstreamModels(provider, providerConfig) {
+    const cacheKey = `models:${provider}`;
+    const cached = cache.get(cacheKey);
+    if (cached) return cached;
+
+    // Listing models isn't a chat request, so it must not move the key rotation along.
+    const apiKey = keyManager.peekUsableKey(provider);
+    if (!apiKey) return null;
+
+    try {
+        const { url, headers } = keyManager.applyProviderAuth(providerConfig, apiKey, `${providerConfig.apiBaseUrl}/v1/models`);
+        const response = await axios.get(url, { headers, timeout: 10000 });
+        const ids = (response.data?.data || []).map(m => m.id).filter(Boolean);
+        cache.set(cacheKey, ids, UPSTREAM_MODELS_CACHE_TTL);
+        return ids;
+    } catch (error) {
+        console.warn(`[Models] Could not fetch upstream models for '${provider}'. Status: ${error.response?.status || 'N/A'}. Error: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Handles GET /:providerId/v1/models with an OpenAI-compatible model list.
+ * Custom providers advertise the model name users must send (the enforced name if set),
+ * built-in providers advertise a default list.
+ */
+exports.listModels = async (req, res, provider) => {
+    const providerConfig = keyManager.getProviderConfig(provider);
+    const ownedBy = providerConfig.isCustom ? (providerConfig.displayName || provider) : provider;
+    let data;
+
+    if (providerConfig.isCustom) {
+        if (providerConfig.enforcedModelName) {
+            // Any other model name is rejected by the proxy, so it is the only one worth listing.
+            data = [toOpenAIModel(providerConfig.enforcedModelName, ownedBy, providerConfig.modelDisplayName)];
+        } else {
+            data = [toOpenAIModel(providerConfig.modelId, ownedBy, providerConfig.modelDisplayName)];
+            if (providerConfig.providerType === 'openai' && process.env.FETCH_UPSTREAM_MODELS === 'true') {
+                const upstreamIds = await fetchUpstreamModels(provider, providerConfig);
+                for (const id of upstreamIds || []) {
+                    if (id !== providerConfig.modelId) data.push(toOpenAIModel(id, ownedBy));
+                }
+            }
+        }
+    } else {
+        const ids = [...(BUILT_IN_MODELS[provider] || [])];
+        // Make sure a configured default model (e.g. GEMINI_MODEL) is listed first.
+        if (providerConfig.modelId) {
+            if (ids.includes(providerConfig.modelId)) ids.splice(ids.indexOf(providerConfig.modelId), 1);
+            ids.unshift(providerConfig.modelId);
+        }
+        data = ids.map(id => toOpenAIModel(id, ownedBy));
+    }
+
+    res.json({ object: 'list', data });
+};
+
+// --- Key failover ---
+
+// How many keys a single request may try before the error is relayed to the client.
+const MAX_KEY_ATTEMPTS = Math.max(1, parseInt(process.env.MAX_KEY_ATTEMPTS, 10) || 3);
+// Base delay before a retry; doubled on every further attempt.
+const RETRY_BACKOFF_MS = parseInt(process.env.RETRY_BACKOFF_MS, 10) || 500;
+
+/**
+ * Decides whether a failed upstream call is worth retrying with another key.
+ * Auth and quota errors are specific to the key, rate limits and server errors are
+ * often transient, and an upstream call with no response at all hit a network error.
+ * Anything else (including bugs in the proxy itself) is not retried.
+ */
+function isRetryableError(error) {
+    if (!error.isAxiosError || axios.isCancel(error)) return false;
+    const status = error.response?.status;
+    if (!status) return true;
+    return [401, 402, 403, 429].includes(status) || status >= 500;
+}
+
+/**
+ * Updates a key's health after the provider rejected it.
+ * @param {object} [response] - The provider's error response, if there was one.
+ */
+function penalizeKey(provider, apiKey, response) {
+    const status = response?.status;
+    if (status === 402) keyManager.deactivateKey(provider, apiKey, 'over_quota');
+    else if (status === 429) keyManager.recordFailure(provider, apiKey, keyManager.getRetryAfterMs(response.headers));
+    else if (status === 401 || status === 403) keyManager.deactivateKey(provider, apiKey, 'revoked');
+}
+
+/**
+ * Counts a failed upstream call in the key's usage stats. Failures that never reached
+ * the provider (queue timeouts, invalid input, client disconnects) are not the key's.
+ */
+function recordKeyError(provider, apiKey, error) {
+    if (!error.isAxiosError || axios.isCancel(error)) return;
+    const providerMessage = error.response?.data?.error?.message;
+    keyManager.recordKeyError(provider, apiKey, error.response?.status || null, typeof providerMessage === 'string' ? providerMessage : error.message);
+}
+
+/**
+ * Counts a response's tokens in the global stats and in the usage stats of the key that served it.
+ */
+function addTokenUsage(provider, apiKey, inputTokens, outputTokens) {
+    statsService.addTokens(inputTokens, outputTokens);
+    keyManager.recordKeyTokens(provider, apiKey, inputTokens, outputTokens);
+}
+
+function maskKey(apiKey) {
+    return `...${apiKey.slice(-4)}`;
+}
+
+/**
+ * Waits until the provider, and the key if it has its own limit, can take another request.
+ * @returns {Promise<Function>} Frees the slots again.
+ */
+async function acquireUpstreamSlot(provider, providerConfig, apiKey, signal) {
+    const { maxConcurrency, maxConcurrencyPerKey } = providerConfig;
+    const releaseProvider = await concurrencyLimiter.acquire(provider, maxConcurrency, signal);
+    try {
+        const releaseKey = await concurrencyLimiter.acquire(`${provider} key ${keyManager.getKeyId(apiKey)}`, maxConcurrencyPerKey, signal);
+        const endInFlight = keyManager.trackKeyInFlight(provider, apiKey);
+        return () => {
+            endInFlight();
+            releaseKey();
+            releaseProvider();
+        };
+    } catch (error) {
+        releaseProvider();
+        throw error;
+    }
+}
+
+/**
+ * Frees an upstream slot once the response to the client is over. Streams are
+ * still being relayed after their handler returns, so this waits for the response to close.
+ */
+function releaseWhenClosed(res, release) {
+    if (res.closed) release();
+    else res.once('close', release);
+}
+
+/**
+ * Picks the model for a fallback provider: its enforced model name, its configured model,
+ * or the first model it advertises in /v1/models.
+ */
+function fallbackModel(provider, providerConfig) {
+    return providerConfig.enforcedModelName || providerConfig.modelId || BUILT_IN_MODELS[provider]?.[0];
+}
+
+/**
+ * Runs a chat request through the prompt pipeline and forwards it to the provider.
+ * @param {object} [options]
+ * @param {object} [options.body] - An already-translated request body (defaults to req.body).
+ * @param {'openai'|'anthropic'} [options.responseFormat] - The API format to answer in.
+ */
+exports.proxyRequest = async (req, res, provider, options = {}) => {
+    const responseFormat = options.responseFormat || 'openai';
+    const originalBody = options.body || req.body;
     const reqId = crypto.randomBytes(4).toString('hex');
     const tokenName = req.userTokenInfo ? req.userTokenInfo.name : 'N/A';
+    const userTokenId = req.userTokenInfo ? req.userTokenInfo.id : null;
     console.log(`\n--- [${reqId}] New Request for Provider: ${provider} (Token: ${tokenName}) ---`);
 
     statsService.incrementPromptCount();
-    const rotatingKey = keyManager.getRotatingKey(provider);
 
-    if (!rotatingKey) {
-        const errorPayload = { error: `No active API keys available for provider '${provider}'.` };
-        console.error(`[${reqId}] No active keys available for ${provider}.`);
+    // The requested provider first, then its configured fallbacks in order.
+    const providerChain = keyManager.getFallbackChain(provider);
+    const attempts = [];
+    // Stop generating (and spending key quota) as soon as the client goes away.
+    // The response's 'close' is used because the request's fires once its body is read.
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+    let servingProvider = provider;
+    let apiKey = null;
+    let logCreated = false;
+    // The upstream error of the last provider that failed, reported if no fallback succeeds.
+    let lastError = null;
+    res.setHeader('Access-Control-Expose-Headers', 'X-Yomi-Provider, X-Yomi-Cache');
+
+    try {
+        for (let chainIndex = 0; chainIndex < providerChain.length; chainIndex++) {
+            const candidate = providerChain[chainIndex];
+            const providerConfig = keyManager.getProviderConfig(candidate);
+            // A fallback without a usable key can't serve the request, so it isn't tried at all.
+            if (candidate !== provider && !keyManager.peekUsableKey(candidate)) {
+                console.warn(`[${reqId}] Skipping fallback provider '${candidate}': it has no active keys.`);
+                continue;
+            }
+            if (candidate !== provider) {
+                console.log(`[${reqId}] Rerouting request from '${provider}' to fallback provider '${candidate}'.`);
+            }
+
+            // The prompt structure is built per provider, so it is rebuilt for every fallback.
+            const { finalBody, characterName, detectedCommands } = await buildProxyBody(reqId, candidate, originalBody);
+            if (candidate !== provider) {
+                // The client chose its model for the original provider, not this one.
+                finalBody.model = fallbackModel(candidate, providerConfig);
+            }
+            if (!logCreated) {
+                await logService.createLogEntry(reqId, candidate, tokenName, finalBody, characterName, detectedCommands);
+                logCreated = true;
+            } else {
+                await logService.updateLogProvider(reqId, candidate, finalBody);
+            }
+
+            // A cached response needs no key and no upstream slot, so it is looked up first.
+            const cacheKey = responseCacheKey(candidate, providerConfig, finalBody, responseFormat);
+            if (await serveFromCache(reqId, res, candidate, cacheKey)) return;
+
+            const rotatingKey = keyManager.getRotatingKey(candidate, undefined, userTokenId);
+            if (!rotatingKey) {
+                console.warn(`[${reqId}] No active keys available for ${candidate}.`);
+                continue;
+            }
+            servingProvider = candidate;
+            apiKey = rotatingKey.value;
+
+            try {
+                // Sent with the response; removed again if this provider fails before responding.
+                res.setHeader('X-Yomi-Provider', candidate);
+                apiKey = await forwardWithKeyFailover(reqId, res, candidate, providerConfig, finalBody, apiKey, responseFormat, attempts, abortController.signal, userTokenId, cacheKey);
+                return;
+            } catch (error) {
+                if (!res.headersSent) res.removeHeader('X-Yomi-Provider');
+                apiKey = error.apiKey || apiKey;
+                const hasFallback = providerChain.slice(chainIndex + 1).some(fallback => keyManager.peekUsableKey(fallback));
+                if (!error.keysExhausted || !hasFallback || res.headersSent) throw error;
+                console.warn(`[${reqId}] All keys for '${candidate}' failed. Trying the next fallback provider.`);
+                penalizeKey(candidate, apiKey, error.response);
+                if (typeof error.response?.data?.destroy === 'function') error.response.data.destroy();
+                lastError = error;
+            }
+        }
+
+        // The fallbacks ran out of keys after all: the last upstream error says more than a 503.
+        if (lastError) throw lastError;
+
+        const errorPayload = formatProxyError(responseFormat, `No active API keys available for provider '${provider}'.`, 'overloaded_error');
+        console.error(`[${reqId}] No active keys available for ${provider} or any of its fallback providers.`);
         // Log the failed attempt
-        await logService.createLogEntry(reqId, provider, tokenName, req.body, 'N/A', 'N/A');
+        if (!logCreated) await logService.createLogEntry(reqId, provider, tokenName, originalBody, 'N/A', 'N/A');
         await logService.updateLogEntry(reqId, 503, errorPayload);
-        return res.status(503).json(errorPayload);
+        res.status(503).json(errorPayload);
+
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            console.log(`[${reqId}] Client disconnected before the provider responded. Upstream request aborted.`);
+            await logService.updateLogEntry(reqId, 499, { status: 'client_aborted', partial_output_length: 0 });
+            return;
+        }
+        await handleProxyError(reqId, res, error, servingProvider, apiKey, responseFormat);
+    } finally {
+        if (attempts.length > 0) {
+            await logService.updateLogAttempts(reqId, attempts);
+        }
     }
+};
 
-    const apiKey = rotatingKey.value;
-    const originalBody = req.body;
-    const providerConfig = keyManager.getProviderConfig(provider);
+/**
+ * Builds the final request body for a provider by running the incoming messages
+ * through its prompt structure (or its summarizer structure for summary requests).
+ */
+async function buildProxyBody(reqId, provider, originalBody) {
+    const { requestType, triggerMessage } = promptService.detectRequestType(originalBody.messages);
 
-    try {
-        const { requestType, triggerMessage } = promptService.detectRequestType(originalBody.messages);
+    let finalMessages, characterName, commandTags;
 
-        let finalMessages, characterName, commandTags, finalBody;
+    if (requestType === 'summarize') {
+        console.log(`[${reqId}] Detected Summarization Request.`);
+        characterName = 'Summary';
+        commandTags = ['SUMMARY'];
 
-        if (requestType === 'summarize') {
-            console.log(`[${reqId}] Detected Summarization Request.`);
-            characterName = 'Summary';
-            commandTags = ['SUMMARY']; 
-            
-            ({ finalMessages } = await promptService.buildSummarizerMessages(provider, originalBody.messages, triggerMessage, reqId));
-            finalBody = { ...originalBody, messages: finalMessages };
-        
-        } else { // It's a regular chat request
-            ({ finalMessages, characterName, commandTags } = await promptService.buildFinalMessages(provider, originalBody.messages, reqId));
-            finalBody = { ...originalBody, messages: finalMessages };
-        }
-        
-        const detectedCommands = commandTags.length > 0 ? commandTags.join(', ') : 'None';
-        await logService.createLogEntry(reqId, provider, tokenName, finalBody, characterName, detectedCommands);
+        ({ finalMessages } = await promptService.buildSummarizerMessages(provider, originalBody.messages, triggerMessage, reqId));
 
-        if (providerConfig.providerType === 'claude') {
-            await handleClaudeRequest(reqId, res, finalBody, apiKey, providerConfig);
-        } else {
-            await handleOpenAICompatibleRequest(reqId, res, finalBody, apiKey, provider, providerConfig);
+    } else { // It's a regular chat request
+        ({ finalMessages, characterName, commandTags } = await promptService.buildFinalMessages(provider, originalBody.messages, reqId));
+    }
+
+    const detectedCommands = commandTags.length > 0 ? commandTags.join(', ') : 'None';
+    return { finalBody: { ...originalBody, messages: finalMessages }, characterName, detectedCommands };
+}
+
+/**
+ * Forwards a request to one provider, retrying with the next usable key as long as
+ * nothing has been sent to the client yet. Every attempt is appended to `attempts`.
+ * @returns {Promise<string>} The key that served the request.
+ * @throws The last upstream error, with `apiKey` set to the key that produced it and
+ *   `keysExhausted` set when it was retryable but no other key was left.
+ */
+async function forwardWithKeyFailover(reqId, res, provider, providerConfig, body, apiKey, responseFormat, attempts, signal, userTokenId, cacheKey) {
+    const triedKeys = new Set();
+    for (let attempt = 1; ; attempt++) {
+        triedKeys.add(apiKey);
+        let releaseSlot = null;
+        try {
+            releaseSlot = await acquireUpstreamSlot(provider, providerConfig, apiKey, signal);
+            if (providerConfig.providerType === 'claude') {
+                await handleClaudeRequest(reqId, res, body, apiKey, providerConfig, responseFormat, signal, cacheKey);
+            } else {
+                await handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider, providerConfig, responseFormat, signal, cacheKey);
+            }
+            releaseWhenClosed(res, releaseSlot);
+            attempts.push({ provider, attempt, key: maskKey(apiKey), status: 'success' });
+            return apiKey;
+        } catch (error) {
+            if (releaseSlot) releaseSlot();
+            const status = error.response?.status;
+            attempts.push({ provider, attempt, key: maskKey(apiKey), status: status || null, error: error.message });
+            error.apiKey = apiKey;
+            recordKeyError(provider, apiKey, error);
+
+            if (res.headersSent || signal.aborted || !isRetryableError(error)) throw error;
+            const nextKey = attempt < MAX_KEY_ATTEMPTS ? keyManager.getRotatingKey(provider, triedKeys, userTokenId) : null;
+            if (!nextKey) {
+                error.keysExhausted = true;
+                throw error;
+            }
+
+            console.warn(`[${reqId}] Attempt ${attempt} with key ${maskKey(apiKey)} failed (Status: ${status || 'N/A'}). Retrying with key ${maskKey(nextKey.value)}.`);
+            penalizeKey(provider, apiKey, error.response);
+            // Release the connection held by a failed streaming response.
+            if (typeof error.response?.data?.destroy === 'function') error.response.data.destroy();
+            await new Promise(resolve => setTimeout(resolve, RETRY_BACKOFF_MS * 2 ** (attempt - 1)));
+            apiKey = nextKey.value;
         }
+    }
+}
 
-    } catch (error) {
-        await handleProxyError(reqId, res, error, provider, apiKey);
+/**
+ * Resolves the token usage of a finished stream. Providers that reported usage are
+ * taken at their word; anything missing is estimated from the prompt and the
+ * generated text.
+ * @param {object|null} reportedUsage - OpenAI-style usage from the provider, if any.
+ * @param {Array<object>} messages - The messages that were sent upstream.
+ * @param {string} generatedText - The raw text generated by the provider.
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number, estimated: boolean}}
+ */
+function resolveStreamUsage(reportedUsage, messages, generatedText) {
+    let promptTokens = reportedUsage?.prompt_tokens;
+    let completionTokens = reportedUsage?.completion_tokens;
+    const estimated = !promptTokens || !completionTokens;
+    if (!promptTokens) {
+        const promptText = (messages || []).map(m => promptService.getMessageText(m.content)).join('\n');
+        promptTokens = statsService.estimateTokens(promptText);
     }
-};
+    if (!completionTokens) {
+        completionTokens = statsService.estimateTokens(generatedText);
+    }
+    return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens, estimated };
+}
+
+/**
+ * Collects what a streamed response contained, for usage accounting and the request log.
+ */
+class StreamTranscript {
+    constructor(reqId, messages, provider, apiKey) {
+        this.reqId = reqId;
+        this.messages = messages;
+        this.provider = provider; // The provider and key that served the stream, for per-key usage
+        this.apiKey = apiKey;
+        this.rawText = ''; // Everything the provider generated
+        this.text = ''; // What the client received, after think-tag filtering
+        this.finishReason = null;
+        this.reportedUsage = null;
+    }
+
+    /**
+     * Records the stream's usage and content, counting its tokens in the stats.
+     * @param {number} statusCode - The status code to log.
+     * @param {string} status - 'completed', 'client_aborted' or 'upstream_error'.
+     * @param {object} [extra] - Additional fields for the log payload.
+     */
+    finish(statusCode, status, extra = {}) {
+        const usage = resolveStreamUsage(this.reportedUsage, this.messages, this.rawText);
+        addTokenUsage(this.provider, this.apiKey, usage.prompt_tokens, usage.completion_tokens);
+        console.log(`[${this.reqId}] Stream usage: ${usage.prompt_tokens} input / ${usage.completion_tokens} output tokens${usage.estimated ? ' (estimated)' : ''}.`);
+        logService.updateStreamLogEntry(this.reqId, statusCode, {
+            status,
+            text: this.text,
+            rawText: this.rawText,
+            finishReason: this.finishReason,
+            usage,
+            ...extra,
+        });
+    }
+}
+
+/**
+ * Handles an upstream stream that stopped without an 'end' event: either the client
+ * disconnected and the request was aborted, or the provider connection broke mid-stream.
+ */
+function handleStreamInterruption(reqId, res, error, signal, transcript) {
+    if (signal?.aborted) {
+        console.log(`[${reqId}] Client disconnected. Upstream stream aborted after ${transcript.text.length} characters of output.`);
+        transcript.finish(499, 'client_aborted', { partial_output_length: transcript.text.length });
+        return;
+    }
+    console.error(`[${reqId}] Upstream stream failed: ${error.message}`);
+    transcript.finish(502, 'upstream_error', { error: error.message, partial_output_length: transcript.text.length });
+    res.end();
+}
+
+// --- Response cache ---
+
+/**
+ * Returns the response cache key for a non-streaming request, or null if the request isn't cacheable.
+ * It is built from the body before the provider-specific translation, so a cached response
+ * can be found before a key is picked.
+ */
+function responseCacheKey(provider, providerConfig, body, responseFormat) {
+    if (body.stream || !providerConfig.responseCache) return null;
+    return responseCache.createKey({
+        provider,
+        responseFormat,
+        // Provider settings that shape the upstream body or the response built from it.
+        config: {
+            modelId: providerConfig.modelId,
+            maxOutput: providerConfig.maxOutput,
+            reasoningMode: providerConfig.reasoningMode,
+            reasoningTags: providerConfig.reasoningTags,
+            reasoningClosingTagOnly: providerConfig.reasoningClosingTagOnly,
+        },
+        // JSON.stringify skips the Anthropic-only details kept under symbols, so they are added explicitly.
+        body: { ...body, claude_tools: body[CLAUDE_TOOLS], claude_top_k: body[CLAUDE_TOP_K] },
+    });
+}
+
+/**
+ * Answers a request from the response cache, if it holds a response for it.
+ * @param {string} provider - The provider the cached response is reported as coming from.
+ * @returns {Promise<boolean>} Whether the request was answered.
+ */
+async function serveFromCache(reqId, res, provider, cacheKey) {
+    if (!cacheKey) return false;
+    const cached = responseCache.get(cacheKey);
+    if (!cached) {
+        res.setHeader('X-Yomi-Cache', 'MISS');
+        return false;
+    }
+    console.log(`[${reqId}] Serving response from the response cache.`);
+    statsService.incrementCacheHits();
+    await logService.updateLogEntry(reqId, cached.status, cached.body, true);
+    res.setHeader('X-Yomi-Cache', 'HIT');
+    res.setHeader('X-Yomi-Provider', provider);
+    res.status(cached.status).json(cached.body);
+    return true;
+}
 
-async function handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider, providerConfig) {
+async function handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider, providerConfig, responseFormat, signal, cacheKey) {
     let forwardUrl, forwardBody, headers;
+    // Gemini speaks its own API, so its responses are translated into OpenAI chunks.
+    const isGemini = !providerConfig.isCustom && provider === 'gemini';
 
     if (providerConfig.isCustom) {
         if (providerConfig.enforcedModelName && body.model !== providerConfig.enforcedModelName) {
-            return res.status(400).json({ error: { message: `The model \`${body.model}\` does not exist for this provider. Please use the correct model: \`${providerConfig.enforcedModelName}\`.`, type: 'invalid_request_error' } });
+            const message = `The model \`${body.model}\` does not exist for this provider. Please use the correct model: \`${providerConfig.enforcedModelName}\`.`;
+            if (responseFormat === 'anthropic') {
+                return res.status(400).json(formatProxyError(responseFormat, message, 'invalid_request_error'));
+            }
+            return res.status(400).json({ error: { message, type: 'invalid_request_error' } });
         }
-        forwardUrl = `${providerConfig.apiBaseUrl}/v1/chat/completions`;
+        ({ url: forwardUrl, headers } = keyManager.applyProviderAuth(providerConfig, apiKey, keyManager.getChatCompletionsUrl(providerConfig), { 'Content-Type': 'application/json' }));
         forwardBody = { ...body, model: providerConfig.modelId };
-        headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
         if (providerConfig.maxOutput && providerConfig.maxOutput !== 'Unlimited') {
             const adminMaxTokens = parseInt(providerConfig.maxOutput, 10);
             if (!isNaN(adminMaxTokens)) {
@@ -181,12 +1349,32 @@ async function handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider,
         }
     } else {
         switch (provider) {
-            case 'gemini':
-                forwardUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`;
-                const contents = body.messages.map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content || '' }] }));
-                forwardBody = { contents, generation_config: { temperature: body.temperature, top_p: body.top_p } };
+            case 'gemini': {
+                const geminiModel = resolveGeminiModel(body.model, providerConfig);
+                const { systemInstruction, contents } = formatFinalMessagesForGemini(body.messages);
+                if (contents.length === 0) {
+                    console.error(`[${reqId}] Aborting Gemini request: No user or assistant messages found after formatting.`);
+                    return res.status(400).json(formatProxyError(responseFormat, 'Invalid request: No user or assistant messages to send after processing.', 'invalid_request_error'));
+                }
+
+                forwardUrl = body.stream
+                    ? `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:streamGenerateContent?alt=sse&key=${apiKey}`
+                    : `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${apiKey}`;
+                forwardBody = {
+                    contents,
+                    systemInstruction,
+                    generationConfig: {
+                        temperature: body.temperature,
+                        topP: body.top_p,
+                        topK: body.top_k ?? body[CLAUDE_TOP_K],
+                        maxOutputTokens: body.max_tokens,
+                        stopSequences: body.stop ? [].concat(body.stop) : undefined,
+                    },
+                };
                 headers = { 'Content-Type': 'application/json' };
+                console.log(`[${reqId}] Forwarding to Gemini model '${geminiModel}'. System part count: ${systemInstruction?.parts.length || 0}. Turn count: ${contents.length}.`);
                 break;
+            }
             case 'deepseek':
             case 'openai':
             case 'openrouter':
@@ -199,12 +1387,36 @@ async function handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider,
                 if (provider === 'mistral') forwardUrl = 'https://api.mistral.ai/v1/chat/completions';
                 break;
             default:
-                return res.status(400).json({ error: `Unsupported provider: ${provider}` });
+                return res.status(400).json(formatProxyError(responseFormat, `Unsupported provider: ${provider}`, 'invalid_request_error'));
         }
     }
     
-    const providerResponse = await axios.post(forwardUrl, forwardBody, { headers, responseType: body.stream ? 'stream' : 'json' });
-    keyManager.recordSuccess(provider, apiKey);
+    // Claude's extended thinking settings mean nothing to OpenAI-compatible APIs.
+    delete forwardBody.thinking;
+    const reasoningMode = providerConfig.reasoningMode;
+
+    // Ask for a final usage chunk. Gemini reports usage on its own, and Mistral always
+    // sends usage on its last chunk but rejects unknown fields.
+    if (body.stream && !isGemini && provider !== 'mistral') {
+        forwardBody.stream_options = { ...body.stream_options, include_usage: true };
+    }
+
+    const requestOptions = { headers, responseType: body.stream ? 'stream' : 'json', signal };
+    let providerResponse;
+    try {
+        providerResponse = await axios.post(forwardUrl, forwardBody, requestOptions);
+    } catch (error) {
+        // Not every OpenAI-compatible server (or Azure API version) knows stream_options.
+        // If a custom provider rejects the request we added it to, try once more without it.
+        const addedStreamOptions = forwardBody.stream_options && !body.stream_options?.include_usage;
+        if (!providerConfig.isCustom || !addedStreamOptions || error.response?.status !== 400) throw error;
+        console.warn(`[${reqId}] Provider rejected the request with stream_options. Retrying without it; token usage may not be reported.`);
+        if (typeof error.response.data?.destroy === 'function') error.response.data.destroy();
+        if (body.stream_options) forwardBody.stream_options = body.stream_options;
+        else delete forwardBody.stream_options;
+        providerResponse = await axios.post(forwardUrl, forwardBody, requestOptions);
+    }
+    keyManager.recordSuccess(provider, apiKey, providerResponse.status);
 
     if (body.stream) {
         res.setHeader('Content-Type', 'text/event-stream');
@@ -212,79 +1424,132 @@ async function handleOpenAICompatibleRequest(reqId, res, body, apiKey, provider,
         res.setHeader('Connection', 'keep-alive');
         
         // Create a new stream processor for each request
-        const streamProcessor = new ThinkTagStreamProcessor();
+        const streamProcessor = new ThinkTagStreamProcessor(thinkFilterOptions(providerConfig));
+        // Anthropic clients get the same chunks re-emitted as Messages API events.
+        const claudeWriter = responseFormat === 'anthropic' ? new OpenAIToClaudeStreamWriter(res, body.model) : null;
+        const transcript = new StreamTranscript(reqId, body.messages, provider, apiKey);
+        const writeChunk = (chunkData) => {
+            const choice = chunkData.choices?.[0];
+            if (choice?.finish_reason) appendHeldBackText(choice.delta || (choice.delta = {}), providerConfig, streamProcessor);
+            if (choice?.delta?.content) transcript.text += choice.delta.content;
+            if (choice?.finish_reason) transcript.finishReason = choice.finish_reason;
+            if (claudeWriter) claudeWriter.write(chunkData);
+            else res.write(`data: ${JSON.stringify(chunkData)}\n\n`);
+        };
+        // Sends whatever the stream processor still holds, for streams that end without a finish_reason.
+        const writeHeldBackText = () => {
+            const delta = {};
+            if (appendHeldBackText(delta, providerConfig, streamProcessor)) {
+                writeChunk({ object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: body.model, choices: [{ index: 0, delta, finish_reason: null }] });
+            }
+        };
+        // The usage-only chunk is only forwarded to clients that asked for it themselves.
+        const clientWantsUsage = Boolean(claudeWriter || body.stream_options?.include_usage);
 
-        providerResponse.data.on('data', chunk => {
-            const chunkStr = chunk.toString();
-            // OpenAI-like streams send multiple events in one chunk, separated by newlines
-            const eventLines = chunkStr.split('\n').filter(line => line.startsWith('data: '));
-
-            for (const line of eventLines) {
-                const jsonStr = line.substring(6).trim();
-                if (jsonStr === '[DONE]') {
-                    res.write('data: [DONE]\n\n');
-                    continue;
+        const handleEvent = (event) => {
+            const jsonStr = event.data.trim();
+            if (jsonStr === '[DONE]') {
+                writeHeldBackText();
+                if (!claudeWriter) res.write('data: [DONE]\n\n');
+                return;
+            }
+
+            try {
+                const parsed = JSON.parse(jsonStr);
+                // Azure OpenAI opens with chunks that only carry content filter results.
+                if (providerConfig.providerType === 'azure' && !parsed.choices?.length && !parsed.usage) return;
+
+                if (isGemini) {
+                    // Gemini reports cumulative usage on its events.
+                    if (parsed.usageMetadata) transcript.reportedUsage = geminiUsageToOpenAI(parsed.usageMetadata);
+                    transcript.rawText += geminiCandidateText(parsed.candidates?.[0]);
+                    const openaiChunk = geminiStreamChunkToOpenAI(parsed, body.model, streamProcessor, providerConfig);
+                    if (openaiChunk) writeChunk(openaiChunk);
+                    return;
                 }
 
-                try {
-                    const parsed = JSON.parse(jsonStr);
-                    const content = parsed.choices?.[0]?.delta?.content;
-
-                    if (content) {
-                        const filteredContent = streamProcessor.process(content);
-                        if (filteredContent) {
-                            // Re-assemble the chunk with the filtered content
-                            const newChunk = { ...parsed };
-                            newChunk.choices[0].delta.content = filteredContent;
-                            res.write(`data: ${JSON.stringify(newChunk)}\n\n`);
-                        }
-                    } else {
-                        // Pass through chunks that don't have content (e.g., finish_reason)
-                        res.write(`data: ${jsonStr}\n\n`);
+                if (parsed.usage) transcript.reportedUsage = parsed.usage;
+                const delta = parsed.choices?.[0]?.delta;
+                if (delta) applyReasoningModeToFields(delta, reasoningMode);
+                const content = delta?.content;
+
+                if (content) {
+                    transcript.rawText += content;
+                    const { content: filteredContent, reasoning } = applyReasoningMode(providerConfig, content, streamProcessor);
+                    // Re-assemble the chunk with the filtered content
+                    if (filteredContent) delta.content = filteredContent;
+                    else delete delta.content;
+                    if (reasoning) delta.reasoning_content = (delta.reasoning_content || '') + reasoning;
+                    if (filteredContent || delta.reasoning_content || parsed.choices[0].finish_reason) {
+                        writeChunk(parsed);
                     }
-                } catch (e) {
-                    // In case of malformed JSON, just pass the original line
-                    console.warn(`[${reqId}] Could not parse stream chunk, passing through. Chunk: ${jsonStr}`);
-                    res.write(`${line}\n\n`);
+                } else if (parsed.choices?.length || !parsed.usage || clientWantsUsage) {
+                    // Pass through chunks that don't have content (e.g., finish_reason)
+                    writeChunk(parsed);
                 }
+            } catch (e) {
+                // In case of malformed JSON, just pass the original event data
+                console.warn(`[${reqId}] Could not parse stream event, passing through. Data: ${jsonStr}`);
+                if (!claudeWriter) res.write(`data: ${event.data}\n\n`);
             }
+        };
+
+        const sseDecoder = new SSEDecoder();
+        providerResponse.data.on('data', chunk => {
+            sseDecoder.push(chunk).forEach(handleEvent);
         });
 
         providerResponse.data.on('end', () => {
-            logService.updateLogEntry(reqId, 200, { stream: true, status: 'completed' });
+            sseDecoder.flush().forEach(handleEvent);
+            writeHeldBackText();
+            // Gemini has no [DONE] sentinel.
+            if (isGemini && !claudeWriter) res.write('data: [DONE]\n\n');
+
+            transcript.finish(200, 'completed');
+            if (claudeWriter) claudeWriter.end();
             res.end();
         });
+        providerResponse.data.on('error', error => handleStreamInterruption(reqId, res, error, signal, transcript));
 
     } else {
         let responseData = providerResponse.data;
-        if (provider === 'gemini') {
-            const responseText = responseData.candidates?.[0]?.content?.parts?.[0]?.text || '';
-            responseData = { choices: [{ message: { role: 'assistant', content: responseText } }], usage: { prompt_tokens: 0, completion_tokens: 0 } };
+        if (isGemini) {
+            responseData = geminiToOpenAIResponse(responseData, body.model);
         }
         
-        // Filter <think> tags from the final non-streamed response
-        if (responseData.choices?.[0]?.message?.content) {
-            responseData.choices[0].message.content = filterThinkTags(responseData.choices[0].message.content);
+        // Apply the provider's reasoning mode to the final non-streamed response
+        const message = responseData.choices?.[0]?.message;
+        if (message) {
+            applyReasoningModeToFields(message, reasoningMode);
+            if (message.content) {
+                const { content, reasoning } = applyReasoningMode(providerConfig, message.content);
+                message.content = content;
+                if (reasoning) message.reasoning_content = (message.reasoning_content || '') + reasoning;
+            }
         }
 
         let usage = responseData.usage || { prompt_tokens: 0, completion_tokens: 0 };
-        statsService.addTokens(usage.prompt_tokens, usage.completion_tokens);
+        addTokenUsage(provider, apiKey, usage.prompt_tokens, usage.completion_tokens);
         
         await logService.updateLogEntry(reqId, providerResponse.status, responseData);
 
+        if (responseFormat === 'anthropic') {
+            responseData = openAIToClaudeResponse(responseData, body.model);
+        }
+        if (cacheKey) responseCache.set(cacheKey, { status: providerResponse.status, body: responseData });
         res.status(providerResponse.status).json(responseData);
     }
     console.log(`--- [${reqId}] OpenAI-Compatible Request Completed Successfully ---`);
 }
 
-async function handleClaudeRequest(reqId, res, body, apiKey, providerConfig) {
-    const forwardUrl = `${providerConfig.apiBaseUrl}/v1/messages`;
+async function handleClaudeRequest(reqId, res, body, apiKey, providerConfig, responseFormat, signal, cacheKey) {
+    const messagesUrl = `${providerConfig.apiBaseUrl}/v1/messages`;
     
     const { system, messages } = formatFinalMessagesForClaude(body.messages);
 
     if (messages.length === 0 && !system) {
         console.error(`[${reqId}] Aborting Claude request: No valid messages or system prompt found after formatting.`);
-        return res.status(400).json({ error: "Invalid request: No valid messages or system prompt to send after processing." });
+        return res.status(400).json(formatProxyError(responseFormat, 'Invalid request: No valid messages or system prompt to send after processing.', 'invalid_request_error'));
     }
 
     const forwardBody = {
@@ -294,23 +1559,45 @@ async function handleClaudeRequest(reqId, res, body, apiKey, providerConfig) {
         stream: body.stream || false,
         temperature: body.temperature,
         top_p: body.top_p,
-        top_k: body.top_k,
-        stop_sequences: body.stop_sequences,
+        top_k: body.top_k ?? body[CLAUDE_TOP_K],
+        stop_sequences: body.stop_sequences || (body.stop ? [].concat(body.stop) : undefined),
     };
     if (system) {
         forwardBody.system = system;
     }
+    const claudeTools = body[CLAUDE_TOOLS];
+    const tools = openAIToolsToClaude(body.tools);
+    if (claudeTools) {
+        // Tools from /v1/messages are forwarded as sent, server tools included.
+        forwardBody.tools = claudeTools.tools;
+        if (claudeTools.tool_choice) forwardBody.tool_choice = claudeTools.tool_choice;
+    } else if (tools) {
+        forwardBody.tools = tools;
+        forwardBody.tool_choice = openAIToolChoiceToClaude(body.tool_choice, body.parallel_tool_calls);
+    }
+    const thinking = resolveClaudeThinking(body);
+    if (thinking) {
+        forwardBody.thinking = thinking;
+        // The thinking budget counts towards max_tokens, and sampling overrides aren't allowed with thinking.
+        if (forwardBody.max_tokens <= thinking.budget_tokens) {
+            forwardBody.max_tokens = thinking.budget_tokens + (body.max_tokens || 4096);
+        }
+        delete forwardBody.temperature;
+        delete forwardBody.top_p;
+        delete forwardBody.top_k;
+        console.log(`[${reqId}] Extended thinking enabled with a budget of ${thinking.budget_tokens} tokens.`);
+    }
+    const reasoningMode = providerConfig.reasoningMode;
     
-    const headers = {
+    const { url: forwardUrl, headers } = keyManager.applyProviderAuth(providerConfig, apiKey, messagesUrl, {
         'Content-Type': 'application/json',
-        'x-api-key': apiKey,
         'anthropic-version': '2023-06-01'
-    };
-    
+    });
+
     console.log(`[${reqId}] Forwarding to Claude API. System block count: ${forwardBody.system?.length || 0}. Message count: ${forwardBody.messages.length}.`);
     
-    const providerResponse = await axios.post(forwardUrl, forwardBody, { headers, responseType: body.stream ? 'stream' : 'json' });
-    keyManager.recordSuccess(providerConfig.name, apiKey);
+    const providerResponse = await axios.post(forwardUrl, forwardBody, { headers, responseType: body.stream ? 'stream' : 'json', signal });
+    keyManager.recordSuccess(providerConfig.name, apiKey, providerResponse.status);
 
     if (body.stream) {
         res.setHeader('Content-Type', 'text/event-stream');
@@ -318,50 +1605,126 @@ async function handleClaudeRequest(reqId, res, body, apiKey, providerConfig) {
         res.setHeader('Connection', 'keep-alive');
 
         // Create a new stream processor for each request
-        const streamProcessor = new ThinkTagStreamProcessor();
+        const streamProcessor = new ThinkTagStreamProcessor(thinkFilterOptions(providerConfig));
+        const toolCallIndexes = new Map();
+        const thinkingBlocks = new Set();
+        // Thinking blocks hidden from Anthropic clients in 'strip' mode; later block indexes shift down.
+        const droppedBlocks = [];
+        const transcript = new StreamTranscript(reqId, body.messages, providerConfig.name, apiKey);
+        transcript.reportedUsage = { prompt_tokens: 0, completion_tokens: 0 };
 
-        providerResponse.data.on('data', chunk => {
-            const lines = chunk.toString().split('\n').filter(line => line.trim() !== '');
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
-                        const dataStr = line.substring(6);
-                        const claudeChunk = JSON.parse(dataStr);
-                        // Pass the processor to the converter function
-                        const openaiChunk = claudeStreamChunkToOpenAI(claudeChunk, providerConfig, streamProcessor);
-                        if (openaiChunk) res.write(`data: ${JSON.stringify(openaiChunk)}\n\n`);
-                    } catch (error) {
-                        console.error(`[${reqId}] Error parsing Claude stream chunk:`, error);
+        const handleEvent = (event) => {
+            try {
+                const claudeChunk = JSON.parse(event.data);
+                // Claude reports input tokens on message_start and cumulative output tokens on message_delta.
+                if (claudeChunk.type === 'message_start' && claudeChunk.message?.usage) {
+                    transcript.reportedUsage.prompt_tokens = claudeChunk.message.usage.input_tokens || 0;
+                    transcript.reportedUsage.completion_tokens = claudeChunk.message.usage.output_tokens || 0;
+                } else if (claudeChunk.type === 'message_delta') {
+                    if (claudeChunk.usage?.output_tokens) transcript.reportedUsage.completion_tokens = claudeChunk.usage.output_tokens;
+                    const stopReason = claudeChunk.delta?.stop_reason;
+                    if (stopReason) transcript.finishReason = CLAUDE_TO_OPENAI_STOP_REASON[stopReason] || stopReason;
+                } else if (claudeChunk.type === 'content_block_delta' && claudeChunk.delta?.type === 'text_delta') {
+                    transcript.rawText += claudeChunk.delta.text;
+                } else if (claudeChunk.type === 'content_block_delta' && claudeChunk.delta?.type === 'thinking_delta') {
+                    transcript.rawText += claudeChunk.delta.thinking;
+                }
+                if (responseFormat === 'anthropic') {
+                    // Anthropic clients get Claude's own events, with think tags filtered from text deltas.
+                    if (reasoningMode === 'strip' && claudeChunk.type === 'content_block_start' && claudeChunk.content_block?.type?.endsWith('thinking')) {
+                        droppedBlocks.push(claudeChunk.index);
+                        return;
                     }
+                    if (typeof claudeChunk.index === 'number') {
+                        if (droppedBlocks.includes(claudeChunk.index)) return;
+                        claudeChunk.index -= droppedBlocks.filter(index => index < claudeChunk.index).length;
+                    }
+                    if (reasoningMode !== 'passthrough' && claudeChunk.type === 'content_block_delta' && claudeChunk.delta?.type === 'text_delta') {
+                        claudeChunk.delta.text = streamProcessor.process(claudeChunk.delta.text);
+                        if (!claudeChunk.delta.text) return;
+                    }
+                    if (reasoningMode !== 'passthrough' && claudeChunk.type === 'content_block_stop') {
+                        // Release text held back as a possible partial tag before the block closes.
+                        const heldBack = streamProcessor.flush().content;
+                        if (heldBack) {
+                            transcript.text += heldBack;
+                            res.write(`event: content_block_delta\ndata: ${JSON.stringify({ type: 'content_block_delta', index: claudeChunk.index, delta: { type: 'text_delta', text: heldBack } })}\n\n`);
+                        }
+                    }
+                    if (claudeChunk.delta?.type === 'text_delta') transcript.text += claudeChunk.delta.text;
+                    res.write(`event: ${event.event || claudeChunk.type}\ndata: ${JSON.stringify(claudeChunk)}\n\n`);
+                    return;
                 }
+                // Pass the processor to the converter function
+                const openaiChunk = claudeStreamChunkToOpenAI(claudeChunk, providerConfig, streamProcessor, toolCallIndexes, thinkingBlocks);
+                if (!openaiChunk) return;
+                if (openaiChunk.choices[0].finish_reason) appendHeldBackText(openaiChunk.choices[0].delta, providerConfig, streamProcessor);
+                transcript.text += openaiChunk.choices[0].delta.content || '';
+                res.write(`data: ${JSON.stringify(openaiChunk)}\n\n`);
+            } catch (error) {
+                console.error(`[${reqId}] Error parsing Claude stream event:`, error);
             }
+        };
+
+        const sseDecoder = new SSEDecoder();
+        providerResponse.data.on('data', chunk => {
+            sseDecoder.push(chunk).forEach(handleEvent);
         });
         providerResponse.data.on('end', () => {
-            res.write('data: [DONE]\n\n');
+            sseDecoder.flush().forEach(handleEvent);
+            if (responseFormat !== 'anthropic') res.write('data: [DONE]\n\n');
             res.end();
-            logService.updateLogEntry(reqId, 200, { stream: true, status: 'completed' });
+
+            transcript.finish(200, 'completed');
         });
+        providerResponse.data.on('error', error => handleStreamInterruption(reqId, res, error, signal, transcript));
+    } else if (responseFormat === 'anthropic') {
+        const claudeData = providerResponse.data;
+        let content = claudeData.content || [];
+        if (reasoningMode === 'strip') {
+            content = content.filter(block => !block.type.endsWith('thinking'));
+        }
+        if (reasoningMode !== 'passthrough') {
+            content = content.map(block => block.type === 'text' ? { ...block, text: filterThinkTags(block.text, thinkFilterOptions(providerConfig)) } : block);
+        }
+        const responseData = { ...claudeData, content };
+        addTokenUsage(providerConfig.name, apiKey, claudeData.usage?.input_tokens, claudeData.usage?.output_tokens);
+
+        await logService.updateLogEntry(reqId, 200, responseData);
+
+        if (cacheKey) responseCache.set(cacheKey, { status: 200, body: responseData });
+        res.status(200).json(responseData);
     } else {
         const responseData = claudeToOpenAIResponse(providerResponse.data, providerConfig);
-        statsService.addTokens(responseData.usage.prompt_tokens, responseData.usage.completion_tokens);
+        addTokenUsage(providerConfig.name, apiKey, responseData.usage.prompt_tokens, responseData.usage.completion_tokens);
         
         await logService.updateLogEntry(reqId, 200, responseData);
 
+        if (cacheKey) responseCache.set(cacheKey, { status: 200, body: responseData });
         res.status(200).json(responseData);
     }
     console.log(`--- [${reqId}] Claude Request Completed Successfully ---`);
 }
 
-async function handleProxyError(reqId, res, error, provider, apiKey) {
+async function handleProxyError(reqId, res, error, provider, apiKey, responseFormat = 'openai') {
     if (error instanceof promptService.UserInputError) {
         console.warn(`[${reqId}] User Input Error: ${error.message}`);
+        if (responseFormat === 'anthropic') {
+            return res.status(400).json(formatProxyError(responseFormat, `Invalid command usage: ${error.message}`, 'invalid_request_error'));
+        }
         return res.status(400).json({ error: 'Invalid command usage', detail: error.message });
     }
+    if (error instanceof concurrencyLimiter.ConcurrencyLimitError) {
+        // The proxy turned the request away itself, so no key is at fault.
+        console.warn(`[${reqId}] Concurrency limit reached for ${provider}: ${error.message}`);
+        const errorData = formatProxyError(responseFormat, error.message, 'rate_limit_error');
+        await logService.updateLogEntry(reqId, 429, errorData);
+        res.setHeader('Retry-After', String(error.retryAfterSeconds));
+        return res.status(429).json(errorData);
+    }
     console.error(`[${reqId}] Proxy Error: Provider: ${provider}, Status: ${error.response?.status}, Message: ${error.message}`);
     const status = error.response?.status;
-    if (status === 402) keyManager.deactivateKey(provider, apiKey, 'over_quota');
-    else if (status === 429) keyManager.recordFailure(provider, apiKey);
-    else if (status === 401 || status === 403) keyManager.deactivateKey(provider, apiKey, 'revoked');
+    penalizeKey(provider, apiKey, error.response);
     if (!res.headersSent) {
         let errorData = error.response?.data;
         if (errorData && typeof errorData.pipe === 'function') {
@@ -380,9 +1743,12 @@ async function handleProxyError(reqId, res, error, provider, apiKey) {
         } else if (Buffer.isBuffer(errorData)) {
              errorData = { error: 'Received buffer error from provider', detail: errorData.toString('utf8') };
         } else if (!errorData) {
-            errorData = { error: 'An internal proxy error occurred with no response from the provider.' };
+            errorData = formatProxyError(responseFormat, 'An internal proxy error occurred with no response from the provider.');
         }
-        
+        if (responseFormat === 'anthropic') {
+            errorData = toClaudeError(status || 500, errorData);
+        }
+
         await logService.updateLogEntry(reqId, status || 500, errorData);
 
         res.status(status || 500).json(errorData);
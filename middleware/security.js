@@ -6,12 +6,26 @@ const tokenManager = require('../services/tokenManager'); // <-- ADDED
 const SECURITY_MODE = process.env.SECURITY || 'none';
 const SHARED_PASSWORD = process.env.PASSWORD;
 
+// Anthropic's error type for the statuses sent here.
+const CLAUDE_ERROR_TYPES = { 401: 'authentication_error', 403: 'permission_error', 429: 'rate_limit_error', 500: 'api_error' };
+
+/**
+ * Sends an error in the shape the client's API expects: Anthropic's for /v1/messages, ours otherwise.
+ */
+function sendError(req, res, status, message) {
+    if (req.path.endsWith('/v1/messages')) {
+        return res.status(status).json({ type: 'error', error: { type: CLAUDE_ERROR_TYPES[status], message } });
+    }
+    return res.status(status).json({ error: message });
+}
+
 /**
  * Middleware to protect proxy routes if security is enabled.
  */
 exports.securityMiddleware = async (req, res, next) => {
     const authHeader = req.headers.authorization;
-    const token = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    // Anthropic SDK clients send their key in the x-api-key header instead.
+    const token = authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : (req.headers['x-api-key'] || null);
 
     if (SECURITY_MODE === 'none') {
         return next(); // No security, proceed
@@ -21,14 +35,14 @@ exports.securityMiddleware = async (req, res, next) => {
         if (token && token === SHARED_PASSWORD) {
             return next(); // Correct password, proceed
         } else {
-            return res.status(401).json({ error: 'Invalid or missing password. Provide it in the Authorization header as "Bearer <password>".' });
+            return sendError(req, res, 401, 'Invalid or missing password. Provide it in the Authorization header as "Bearer <password>".');
         }
     }
 
     // --- NEW: Token-based security ---
     if (SECURITY_MODE === 'token') {
         if (!token) {
-            return res.status(401).json({ error: 'Missing user token. Provide it in the Authorization header as "Bearer <token>".' });
+            return sendError(req, res, 401, 'Missing user token. Provide it in the Authorization header as "Bearer <token>".');
         }
         
         const result = await tokenManager.verifyAndRateLimit(token);
@@ -37,11 +51,11 @@ exports.securityMiddleware = async (req, res, next) => {
             req.userTokenInfo = result.tokenData; // Attach token info for logging
             return next();
         } else {
-            return res.status(result.status).json({ error: result.message });
+            return sendError(req, res, result.status, result.message);
         }
     }
     // --- END NEW ---
 
     // Fallback for invalid security mode
-    return res.status(500).json({ error: `Server security is misconfigured. Mode '${SECURITY_MODE}' is not supported.` });
+    return sendError(req, res, 500, `Server security is misconfigured. Mode '${SECURITY_MODE}' is not supported.`);
 };
\ No newline at end of file
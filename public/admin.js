@@ -49,6 +49,11 @@ document.addEventListener('DOMContentLoaded', () => {
         return response.status === 204 ? null : response.json();
     }
 
+    // Provider error messages are shown in the panel, so they are escaped before going into innerHTML.
+    function escapeHtml(value) {
+        return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]));
+    }
+
     function showAlert(message, isError = false) {
         alert(message);
         if (isError) console.error(message);
@@ -74,8 +79,39 @@ document.addEventListener('DOMContentLoaded', () => {
             document.getElementById('stat-prompts').textContent = stats.promptCount.toLocaleString();
             document.getElementById('stat-input-tokens').textContent = stats.totalInputTokens.toLocaleString();
             document.getElementById('stat-output-tokens').textContent = stats.totalOutputTokens.toLocaleString();
+            document.getElementById('stat-cache-hits').textContent = stats.cacheHits.toLocaleString();
+            const queues = stats.queues || [];
+            document.getElementById('stat-queued').textContent = queues.reduce((sum, q) => sum + q.queued, 0).toLocaleString();
+            document.getElementById('stat-queue-detail').innerHTML = queues
+                .map(q => `${q.name}: ${q.active} active, ${q.queued} waiting`)
+                .join('<br>');
+            renderKeyRevalidation(stats.keyRevalidation);
         } catch (error) { console.error('Failed to fetch stats:', error); }
     }
+
+    function renderKeyRevalidation(status) {
+        const scheduleEl = document.getElementById('keyRevalidationSchedule');
+        const lastRunEl = document.getElementById('keyRevalidationLastRun');
+        if (!status || !status.enabled) {
+            scheduleEl.textContent = 'Disabled. Keys are only checked on startup and with the Re-check button.';
+            lastRunEl.innerHTML = '';
+            return;
+        }
+        scheduleEl.textContent = `Every ${status.intervalMinutes} min: all inactive keys and ${Math.round(status.sampleRate * 100)}% of active keys. `
+            + (status.running ? 'Running now...' : `Next run: ${new Date(status.nextRunAt).toLocaleString()}.`);
+
+        const run = status.lastRun;
+        if (!run) {
+            lastRunEl.innerHTML = '<p class="muted">No run yet.</p>';
+        } else if (run.error) {
+            lastRunEl.innerHTML = `<p style="color: var(--red);">Last run (${new Date(run.finishedAt).toLocaleString()}) failed: ${escapeHtml(run.error)}</p>`;
+        } else {
+            lastRunEl.innerHTML = `
+                <p>Last run (${new Date(run.finishedAt).toLocaleString()}): tested ${run.tested} key(s), ${run.reactivated} reactivated, ${run.deactivated} deactivated.</p>
+                ${run.changes.map(c => `<div class="muted" style="font-size: 0.9em;">${c.provider} <code>${c.key}</code>: ${c.before} &rarr; ${c.after}</div>`).join('')}
+            `;
+        }
+    }
     
     // --- Server Clock ---
     let serverClockInterval;
@@ -128,6 +164,54 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    // --- Key Selection ---
+    const keySelectionProvider = document.getElementById('keySelectionProvider');
+    const keySelectionStrategy = document.getElementById('keySelectionStrategy');
+    const keySelectionKeys = document.getElementById('keySelectionKeys');
+
+    async function fetchKeySelection() {
+        if (!keySelectionProvider.value) return;
+        try {
+            const selection = await api(`/key-selection?provider=${encodeURIComponent(keySelectionProvider.value)}`);
+            keySelectionStrategy.value = selection.strategy;
+            keySelectionKeys.innerHTML = selection.keys.map(key => `
+                <div class="command-item">
+                    <div class="cmd-info">
+                        <code>${key.masked}</code>
+                        <span style="color: var(--text-muted); font-size: 0.9em;" title="${escapeHtml(key.lastError || '')}">[${key.status}, ${key.inFlight} in progress, ${key.successCount} ok / ${key.failureCount} failed${key.lastCheckedAt ? `, checked ${new Date(key.lastCheckedAt).toLocaleString()}` : ''}]</span>
+                    </div>
+                    <div class="cmd-actions">
+                        <label>Weight <input type="number" min="1" class="key-weight" data-key-id="${key.id}" value="${key.weight}" style="width: 70px;"></label>
+                    </div>
+                </div>
+            `).join('');
+        } catch (error) {
+            keySelectionKeys.innerHTML = '';
+            console.error('Failed to fetch key selection:', error);
+        }
+    }
+
+    keySelectionProvider.addEventListener('change', fetchKeySelection);
+
+    document.getElementById('saveKeySelectionBtn').addEventListener('click', async () => {
+        const weights = {};
+        keySelectionKeys.querySelectorAll('.key-weight').forEach(input => {
+            weights[input.dataset.keyId] = parseInt(input.value, 10) || 1;
+        });
+        try {
+            await api('/key-selection', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ provider: keySelectionProvider.value, strategy: keySelectionStrategy.value, weights })
+            });
+            showAlert('Key selection saved.');
+        } catch (error) {
+            showAlert('Failed to save key selection: ' + error.message, true);
+        }
+    });
+
+    fetchKeySelection();
+
     // --- Structure Editor ---
     const providerSelector = document.getElementById('providerSelector');
     const blocksList = document.getElementById('blocksList');
@@ -555,6 +639,7 @@ document.addEventListener('DOMContentLoaded', () => {
                 <div class="cmd-info">
                     <strong>${p.display_name}</strong> (<code>/${p.provider_id}</code>)
                     <span style="color: var(--text-muted); font-size: 0.9em;">[${p.provider_type || 'openai'}]</span>
+                    ${p.fallback_providers ? `<span style="color: var(--text-muted); font-size: 0.9em;">&rarr; ${p.fallback_providers}</span>` : ''}
                     <span style="color: ${p.is_enabled ? 'var(--green)' : 'var(--red)'};">
                         (${p.is_enabled ? 'Enabled' : 'Disabled'})
                     </span>
@@ -567,6 +652,21 @@ document.addEventListener('DOMContentLoaded', () => {
         `).join('');
     }
 
+    const providerTypeSelect = document.getElementById('provider_type');
+    // The Azure fields only apply to Azure OpenAI providers.
+    const updateProviderTypeFields = () => {
+        document.getElementById('provider_azure_fields').style.display = providerTypeSelect.value === 'azure' ? 'block' : 'none';
+    };
+    providerTypeSelect.addEventListener('change', updateProviderTypeFields);
+
+    const EXTRA_HEADERS_PLACEHOLDER = document.getElementById('provider_extra_headers').placeholder;
+
+    const authSchemeSelect = document.getElementById('provider_auth_scheme');
+    const updateAuthSchemeFields = () => {
+        document.getElementById('provider_auth_query_fields').style.display = authSchemeSelect.value === 'query' ? 'block' : 'none';
+    };
+    authSchemeSelect.addEventListener('change', updateAuthSchemeFields);
+
     window.editCustomProvider = (id) => {
         const p = allCustomProviders.find(provider => provider.id == id);
         if (!p) return;
@@ -581,7 +681,31 @@ document.addEventListener('DOMContentLoaded', () => {
         document.getElementById('provider_model_display_name').value = p.model_display_name || '';
         document.getElementById('provider_max_context_tokens').value = p.max_context_tokens || '';
         document.getElementById('provider_max_output_tokens').value = p.max_output_tokens || '';
-        document.getElementById('provider_api_keys').value = p.api_keys || '';
+        document.getElementById('provider_fallback_providers').value = p.fallback_providers || '';
+        document.getElementById('provider_reasoning_mode').value = p.reasoning_mode || 'strip';
+        document.getElementById('provider_reasoning_tags').value = p.reasoning_tags || '';
+        document.getElementById('provider_reasoning_closing_tag_only').value = String(Boolean(p.reasoning_closing_tag_only));
+        document.getElementById('provider_response_cache_enabled').value = String(Boolean(p.response_cache_enabled));
+        document.getElementById('provider_max_concurrency').value = p.max_concurrency || '';
+        document.getElementById('provider_max_concurrency_per_key').value = p.max_concurrency_per_key || '';
+        document.getElementById('provider_auth_scheme').value = p.auth_scheme || '';
+        document.getElementById('provider_auth_query_param').value = p.auth_query_param || '';
+        document.getElementById('provider_azure_deployment').value = p.azure_deployment || '';
+        document.getElementById('provider_azure_api_version').value = p.azure_api_version || '';
+        updateProviderTypeFields();
+        updateAuthSchemeFields();
+        // Extra headers may hold credentials, so they come back masked as well.
+        const extraHeadersInput = document.getElementById('provider_extra_headers');
+        extraHeadersInput.value = '';
+        extraHeadersInput.placeholder = p.masked_extra_headers
+            ? `Leave empty to keep the current headers, or enter {} to remove them: ${JSON.stringify(p.masked_extra_headers)}`
+            : EXTRA_HEADERS_PLACEHOLDER;
+        // Stored keys are never sent back unmasked; leaving the field empty keeps them.
+        const apiKeysInput = document.getElementById('provider_api_keys');
+        apiKeysInput.value = '';
+        apiKeysInput.placeholder = p.masked_api_keys.length > 0
+            ? `Leave empty to keep the current keys: ${p.masked_api_keys.join(', ')}`
+            : 'key1, key2, key3...';
         document.getElementById('provider_enabled').value = p.is_enabled;
     };
 
@@ -600,6 +724,10 @@ document.addEventListener('DOMContentLoaded', () => {
         providerFormTitle.textContent = 'Add New Provider';
         providerForm.reset();
         document.getElementById('provider_id_hidden').value = '';
+        document.getElementById('provider_api_keys').placeholder = 'key1, key2, key3...';
+        document.getElementById('provider_extra_headers').placeholder = EXTRA_HEADERS_PLACEHOLDER;
+        updateProviderTypeFields();
+        updateAuthSchemeFields();
     };
 
     providerForm.onsubmit = async (e) => {
@@ -615,6 +743,18 @@ document.addEventListener('DOMContentLoaded', () => {
             model_display_name: document.getElementById('provider_model_display_name').value,
             max_context_tokens: document.getElementById('provider_max_context_tokens').value || null,
             max_output_tokens: document.getElementById('provider_max_output_tokens').value || null,
+            fallback_providers: document.getElementById('provider_fallback_providers').value.trim() || null,
+            reasoning_mode: document.getElementById('provider_reasoning_mode').value,
+            reasoning_tags: document.getElementById('provider_reasoning_tags').value.trim() || null,
+            reasoning_closing_tag_only: document.getElementById('provider_reasoning_closing_tag_only').value === 'true',
+            response_cache_enabled: document.getElementById('provider_response_cache_enabled').value === 'true',
+            max_concurrency: document.getElementById('provider_max_concurrency').value || null,
+            max_concurrency_per_key: document.getElementById('provider_max_concurrency_per_key').value || null,
+            auth_scheme: document.getElementById('provider_auth_scheme').value || null,
+            auth_query_param: document.getElementById('provider_auth_query_param').value.trim() || null,
+            azure_deployment: document.getElementById('provider_azure_deployment').value.trim() || null,
+            azure_api_version: document.getElementById('provider_azure_api_version').value.trim() || null,
+            extra_headers: document.getElementById('provider_extra_headers').value.trim() || null,
             api_keys: document.getElementById('provider_api_keys').value,
             is_enabled: document.getElementById('provider_enabled').value === 'true',
         };
@@ -670,7 +810,7 @@ document.addEventListener('DOMContentLoaded', () => {
             </div>
             ${logs.map(log => `
                 <div class="log-row">
-                    <div><span class="status-code s-${String(log.status_code).charAt(0)}">${log.status_code}</span></div>
+                    <div><span class="status-code s-${String(log.status_code).charAt(0)}">${log.status_code}</span>${log.cache_hit ? ' <small class="muted">cached</small>' : ''}</div>
                     <div>${log.character_name || 'N/A'}</div>
                     <div class="mobile-hidden">${log.detected_commands || 'None'}</div>
                     <div class="mobile-hidden">${log.provider}</div>
@@ -788,6 +928,18 @@ document.addEventListener('DOMContentLoaded', () => {
             const log = await api(`/logs/${id}`);
             document.getElementById('logRequestPayload').textContent = JSON.stringify(log.request_payload, null, 2);
             document.getElementById('logResponsePayload').textContent = JSON.stringify(log.response_payload, null, 2);
+
+            // SQLite returns JSON columns as strings, PostgreSQL as parsed values.
+            const attempts = typeof log.attempts === 'string' ? JSON.parse(log.attempts) : log.attempts;
+            const attemptsWrapper = document.getElementById('logAttemptsWrapper');
+            if (Array.isArray(attempts) && attempts.length > 0) {
+                document.getElementById('logAttempts').textContent = attempts.map(a =>
+                    `#${a.attempt} key ${a.key}: ${a.status === 'success' ? 'success' : `failed (status ${a.status || 'N/A'}) - ${a.error}`}`
+                ).join('\n');
+                attemptsWrapper.style.display = 'block';
+            } else {
+                attemptsWrapper.style.display = 'none';
+            }
             modal.style.display = 'block';
         } catch (error) {
             showAlert('Error fetching log details: ' + error.message, true);
@@ -800,6 +952,170 @@ document.addEventListener('DOMContentLoaded', () => {
         fetchLogSettings();
     });
     
+    // --- API Keys Tab Logic ---
+    const keysList = document.getElementById('keysList');
+    const keyForm = document.getElementById('key-form');
+
+    const keyUsageTable = document.getElementById('keyUsageTable');
+    let keyUsageRows = [];
+    let keyUsageSort = { column: 'requestCount', descending: true };
+
+    async function fetchKeys() {
+        try {
+            const data = await api('/keys');
+            renderKeys(data.providers || []);
+            keyUsageRows = (data.providers || []).flatMap(p => p.keys.map(key => ({ ...key, provider: p.provider })));
+            renderKeyUsage();
+        } catch (error) {
+            showAlert('Error fetching API keys: ' + error.message, true);
+        }
+    }
+
+    function renderKeys(providers) {
+        if (providers.length === 0) {
+            keysList.innerHTML = '<p class="muted">No keys are loaded.</p>';
+            return;
+        }
+        keysList.innerHTML = providers.map(p => `
+            <h4>${p.provider} ${p.isCustom ? '<span class="muted" style="font-size: 0.8em;">(custom)</span>' : ''}</h4>
+            ${p.keys.map(key => `
+                <div class="command-item">
+                    <div class="cmd-info">
+                        <code>${key.masked}</code>
+                        <span style="color: ${key.status === 'active' ? 'var(--green)' : 'var(--red)'};">(${key.status})</span>
+                        <span style="color: var(--text-muted); font-size: 0.9em;">[${key.source}]</span>
+                        <div style="color: var(--text-muted); font-size: 0.8em;">
+                            ${key.successCount} ok / ${key.failureCount} failed / ${key.rateLimitCount} rate limited
+                            ${key.cooldownUntil ? ` &middot; cooling down until ${new Date(key.cooldownUntil).toLocaleTimeString()}` : ''}
+                            ${key.lastCheckedAt ? ` &middot; checked ${new Date(key.lastCheckedAt).toLocaleString()}` : ''}
+                            ${key.lastError ? `<br>Last error: ${escapeHtml(key.lastError)}` : ''}
+                        </div>
+                    </div>
+                    <div class="cmd-actions">
+                        <button class="btn-secondary" onclick="setKeyEnabled('${p.provider}', '${key.id}', ${key.status === 'disabled'})">${key.status === 'disabled' ? 'Enable' : 'Disable'}</button>
+                        <button class="btn-secondary" onclick="retestKey('${p.provider}', '${key.id}')" ${key.status === 'disabled' ? 'disabled' : ''}>Retest</button>
+                        ${key.source === 'database' ? `<button class="btn-secondary" onclick="removeKey('${p.provider}', '${key.id}')">Remove</button>` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        `).join('');
+    }
+
+    const keyUsageColumns = [
+        { key: 'provider', label: 'Provider' },
+        { key: 'masked', label: 'Key' },
+        { key: 'requestCount', label: 'Requests' },
+        { key: 'successCount', label: 'OK' },
+        { key: 'failureCount', label: 'Errors' },
+        { key: 'inputTokens', label: 'Input Tokens', mobileHidden: true },
+        { key: 'outputTokens', label: 'Output Tokens', mobileHidden: true },
+        { key: 'lastUsedAt', label: 'Last Used' },
+        { key: 'lastError', label: 'Last Error', mobileHidden: true },
+    ];
+
+    function renderKeyUsage() {
+        if (keyUsageRows.length === 0) {
+            keyUsageTable.innerHTML = '<p class="muted">No keys are loaded.</p>';
+            return;
+        }
+        const { column, descending } = keyUsageSort;
+        const sortValue = row => column === 'lastUsedAt' ? (row.lastUsedAt ? new Date(row.lastUsedAt).getTime() : 0) : (row[column] ?? '');
+        const rows = [...keyUsageRows].sort((a, b) => {
+            const x = sortValue(a), y = sortValue(b);
+            const order = typeof x === 'number' && typeof y === 'number' ? x - y : String(x).localeCompare(String(y));
+            return descending ? -order : order;
+        });
+        // Non-2xx counts, e.g. "429: 3, network: 1", shown when hovering the error count.
+        const errorBreakdown = statusCounts => Object.entries(statusCounts || {})
+            .filter(([code]) => !code.startsWith('2'))
+            .map(([code, count]) => `${code}: ${count}`)
+            .join(', ');
+
+        keyUsageTable.innerHTML = `
+            <div class="log-row header">
+                ${keyUsageColumns.map(c => `
+                    <div class="sortable${c.mobileHidden ? ' mobile-hidden' : ''}" data-column="${c.key}">${c.label}${c.key === column ? (descending ? ' &#9660;' : ' &#9650;') : ''}</div>
+                `).join('')}
+            </div>
+            ${rows.map(row => `
+                <div class="log-row">
+                    <div>${row.provider}</div>
+                    <div><code>${row.masked}</code></div>
+                    <div>${row.requestCount.toLocaleString()}</div>
+                    <div>${row.successCount.toLocaleString()}</div>
+                    <div title="${errorBreakdown(row.statusCounts)}">${row.failureCount.toLocaleString()}</div>
+                    <div class="mobile-hidden">${row.inputTokens.toLocaleString()}</div>
+                    <div class="mobile-hidden">${row.outputTokens.toLocaleString()}</div>
+                    <div>${row.lastUsedAt ? new Date(row.lastUsedAt).toLocaleString() : 'Never'}</div>
+                    <div class="mobile-hidden" title="${escapeHtml(row.lastError || '')}">${escapeHtml(row.lastError || '-')}</div>
+                </div>
+            `).join('')}
+        `;
+    }
+
+    keyUsageTable.addEventListener('click', (e) => {
+        const header = e.target.closest('.sortable');
+        if (!header) return;
+        const column = header.dataset.column;
+        keyUsageSort = { column, descending: keyUsageSort.column === column ? !keyUsageSort.descending : true };
+        renderKeyUsage();
+    });
+
+    window.setKeyEnabled = async (provider, keyId, enabled) => {
+        try {
+            const result = await api(`/keys/${encodeURIComponent(provider)}/${keyId}`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled })
+            });
+            if (enabled) showAlert(`Key ${result.key.masked} re-enabled. Status after testing: ${result.key.status}.`);
+            fetchKeys();
+        } catch (error) {
+            showAlert('Failed to update key: ' + error.message, true);
+        }
+    };
+
+    window.retestKey = async (provider, keyId) => {
+        try {
+            const result = await api(`/keys/${encodeURIComponent(provider)}/${keyId}/retest`, { method: 'POST' });
+            showAlert(`Key ${result.key.masked} tested: ${result.key.status}.`);
+            fetchKeys();
+        } catch (error) {
+            showAlert('Failed to test key: ' + error.message, true);
+        }
+    };
+
+    window.removeKey = async (provider, keyId) => {
+        if (!confirm('Are you sure you want to remove this key?')) return;
+        try {
+            await api(`/keys/${encodeURIComponent(provider)}/${keyId}`, { method: 'DELETE' });
+            fetchKeys();
+        } catch (error) {
+            showAlert('Failed to remove key: ' + error.message, true);
+        }
+    };
+
+    keyForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        try {
+            const result = await api('/keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    provider: document.getElementById('key_provider').value,
+                    keys: document.getElementById('key_values').value
+                })
+            });
+            showAlert(`${result.added} key(s) added and tested.`);
+            keyForm.reset();
+            fetchKeys();
+        } catch (error) {
+            showAlert('Failed to add keys: ' + error.message, true);
+        }
+    });
+
+    document.querySelector('a[data-tab="keys"]').addEventListener('click', fetchKeys);
+
     // --- Announcement Tab Logic ---
     const announcementForm = document.getElementById('announcement-form');
 
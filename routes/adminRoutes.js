@@ -41,6 +41,17 @@ router.get('/api/tokens', adminController.getTokens);
 router.post('/api/tokens', adminController.saveToken);
 router.delete('/api/tokens/:id', adminController.deleteToken);
 
+// Keys
+router.get('/api/keys', adminController.getKeys);
+router.post('/api/keys', adminController.addKeys);
+router.put('/api/keys/:provider/:keyId', adminController.updateKey);
+router.delete('/api/keys/:provider/:keyId', adminController.deleteKey);
+router.post('/api/keys/:provider/:keyId/retest', adminController.retestKey);
+
+// Key Selection
+router.get('/api/key-selection', adminController.getKeySelection);
+router.put('/api/key-selection', adminController.updateKeySelection);
+
 // Custom Providers
 router.get('/api/custom-providers', adminController.getCustomProviders);
 router.post('/api/custom-providers', adminController.saveCustomProvider);
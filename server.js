@@ -11,6 +11,7 @@ const cors = require('cors');
 const keyManager = require('./services/keyManager');
 const tokenManager = require('./services/tokenManager');
 const logService = require('./services/logService'); // <-- 1. IMPORT THE NEW SERVICE
+const keyRevalidationScheduler = require('./services/keyRevalidationScheduler');
 const mainRoutes = require('./routes/mainRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 const proxyController = require('./controllers/proxyController');
@@ -64,6 +65,43 @@ app.post(dynamicProxyRoute, securityMiddleware, (req, res) => {
 
 console.log(`[Router] Created DYNAMIC proxy endpoint: POST ${dynamicProxyRoute}`);
 
+// --- DYNAMIC ANTHROPIC MESSAGES ROUTE ---
+// Accepts native Anthropic Messages API requests for any provider.
+const dynamicMessagesRoute = '/:providerId/v1/messages';
+
+app.post(dynamicMessagesRoute, securityMiddleware, (req, res) => {
+    const { providerId } = req.params;
+    const availableProviders = keyManager.getAvailableProviders();
+
+    if (availableProviders.includes(providerId)) {
+        console.log(`[Router] Dynamic messages route matched for provider: ${providerId}`);
+        proxyController.proxyMessagesRequest(req, res, providerId);
+    } else {
+        console.warn(`[Router] 404 - No provider found for ID: ${providerId}`);
+        res.status(404).json({ type: 'error', error: { type: 'not_found_error', message: `Provider '${providerId}' not found or is not enabled.` } });
+    }
+});
+
+console.log(`[Router] Created DYNAMIC messages endpoint: POST ${dynamicMessagesRoute}`);
+
+// --- DYNAMIC MODELS ROUTE ---
+// Clients probe this to populate their model pickers.
+const dynamicModelsRoute = '/:providerId/v1/models';
+
+app.get(dynamicModelsRoute, securityMiddleware, (req, res) => {
+    const { providerId } = req.params;
+    const availableProviders = keyManager.getAvailableProviders();
+
+    if (availableProviders.includes(providerId)) {
+        proxyController.listModels(req, res, providerId);
+    } else {
+        console.warn(`[Router] 404 - No provider found for ID: ${providerId}`);
+        res.status(404).json({ error: `Provider '${providerId}' not found or is not enabled.` });
+    }
+});
+
+console.log(`[Router] Created DYNAMIC models endpoint: GET ${dynamicModelsRoute}`);
+
 
 // Now, define the static file server
 app.use(express.static('public'));
@@ -100,9 +138,14 @@ async function startServer() {
         await createTables(db);
         console.log('[DB] Database schema check complete.');
     }
+
+    // Apply additive migrations (new tables/columns) for every database type.
+    const { migrateSchema } = require('./config/db-schema');
+    await migrateSchema(db);
     
     // Initialize managers that load data into memory
     await tokenManager.initialize();
+    await keyManager.encryptStoredKeys();
     await keyManager.initialize();
     await logService.initialize(); // <-- 2. INITIALIZE THE LOGGER
         // Conditionally check keys based on the STATE environment variable.
@@ -110,9 +153,11 @@ async function startServer() {
     // when running in a testing or development environment.
     if (process.env.STATE !== 'TESTING') {
         console.log('[Startup] Running in PRODUCTION or default mode. Performing key validation...');
-        await keyManager.checkAllKeys();
+        // Keys with a status saved before the restart are left to the background scheduler.
+        await keyManager.checkAllKeys({ onlyUnchecked: true });
+        keyRevalidationScheduler.start();
     } else {
-        console.warn('[Startup] STATE is "TESTING". Skipping startup key validation.');
+        console.warn('[Startup] STATE is "TESTING". Skipping startup and background key validation.');
     }
 
     app.listen(PORT, () => {
@@ -0,0 +1,111 @@
+// services/concurrencyLimiter.js
+// Limits how many requests run against a provider (or a single key) at once.
+// Requests over the limit wait in a queue instead of hitting the provider in a
+// burst and collecting 429s that count against the keys.
+
+const QUEUE_MAX_SIZE = parseInt(process.env.QUEUE_MAX_SIZE, 10) || 50;
+const QUEUE_MAX_WAIT_MS = parseInt(process.env.QUEUE_MAX_WAIT_MS, 10) || 30000;
+
+/**
+ * Thrown when a request can't get a slot: the queue is full or the wait timed out.
+ */
+class ConcurrencyLimitError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConcurrencyLimitError';
+        // A queued request waits at most this long, so it's a fair time to come back.
+        this.retryAfterSeconds = Math.ceil(QUEUE_MAX_WAIT_MS / 1000);
+    }
+}
+
+// name -> { active: number, queue: Array<{ grant: Function, reject: Function }> }
+const limiters = new Map();
+
+function getLimiter(name) {
+    if (!limiters.has(name)) {
+        limiters.set(name, { active: 0, queue: [] });
+    }
+    return limiters.get(name);
+}
+
+/**
+ * Returns a function that frees the slot, and does nothing when called again.
+ */
+function createRelease(name) {
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        const limiter = getLimiter(name);
+        const next = limiter.queue.shift();
+        if (next) {
+            // The slot passes straight to the next request in line.
+            next.grant();
+        } else {
+            limiter.active--;
+        }
+    };
+}
+
+/**
+ * Waits for a free slot.
+ * @param {string} name - What is being limited, e.g. a provider ID.
+ * @param {number} limit - The most requests allowed at once. 0 or less means no limit.
+ * @param {AbortSignal} [signal] - Gives up the place in the queue when the client goes away.
+ * @returns {Promise<Function>} Resolves with a function that frees the slot again.
+ * @throws {ConcurrencyLimitError} When the queue is full or the wait times out.
+ */
+function acquire(name, limit, signal) {
+    if (!limit || limit <= 0) return Promise.resolve(() => {});
+
+    const limiter = getLimiter(name);
+    if (limiter.active < limit) {
+        limiter.active++;
+        return Promise.resolve(createRelease(name));
+    }
+    if (limiter.queue.length >= QUEUE_MAX_SIZE) {
+        return Promise.reject(new ConcurrencyLimitError(`Too many requests are waiting for '${name}'. Please try again shortly.`));
+    }
+
+    return new Promise((resolve, reject) => {
+        const leaveQueue = () => {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+            const index = limiter.queue.indexOf(entry);
+            if (index !== -1) limiter.queue.splice(index, 1);
+        };
+        const onAbort = () => {
+            leaveQueue();
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            leaveQueue();
+            reject(new ConcurrencyLimitError(`Timed out after ${QUEUE_MAX_WAIT_MS}ms waiting for a free slot for '${name}'.`));
+        }, QUEUE_MAX_WAIT_MS);
+        const entry = {
+            grant: () => {
+                leaveQueue();
+                resolve(createRelease(name));
+            },
+        };
+
+        limiter.queue.push(entry);
+        signal?.addEventListener('abort', onAbort);
+    });
+}
+
+/**
+ * Returns how many requests are running and waiting, for everything currently limited.
+ * @returns {Array<{name: string, active: number, queued: number}>}
+ */
+function getQueueStats() {
+    return [...limiters.entries()]
+        .filter(([, limiter]) => limiter.active > 0 || limiter.queue.length > 0)
+        .map(([name, limiter]) => ({ name, active: limiter.active, queued: limiter.queue.length }));
+}
+
+module.exports = {
+    ConcurrencyLimitError,
+    acquire,
+    getQueueStats,
+};
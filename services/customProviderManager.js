@@ -3,18 +3,26 @@
 
 const pool = require('../config/db');
 const keyManager = require('./keyManager');
+const keyEncryption = require('./keyEncryption');
 
 /**
- * Fetches all custom providers from the database.
+ * Fetches all custom providers from the database, with their API keys and extra header values masked.
  */
 async function getAll() {
-    return await pool('custom_providers').orderBy('display_name');
+    const rows = await pool('custom_providers').orderBy('display_name');
+    return rows.map(({ api_keys, extra_headers, ...provider }) => ({
+        ...provider,
+        masked_api_keys: keyManager.maskStoredKeys(api_keys),
+        masked_extra_headers: keyManager.maskExtraHeaders({ ...provider, extra_headers }),
+    }));
 }
 
 /**
  * Saves or updates a custom provider.
  * After saving, it triggers the keyManager to re-initialize.
- * @param {object} providerData - The provider data from the admin form.
+ * @param {object} providerData - The provider data from the admin form. When updating,
+ *   empty `api_keys` and `extra_headers` keep the provider's current ones (the admin panel
+ *   only sees them masked), and `extra_headers` of `{}` removes them.
  */
 async function save(providerData) {
     // --- CLAUDE INTEGRATION: Add provider_type to destructuring ---
@@ -30,16 +38,39 @@ async function save(providerData) {
         is_enabled, 
         enforced_model_name, 
         max_context_tokens, 
-        max_output_tokens 
+        max_output_tokens,
+        fallback_providers,
+        reasoning_mode,
+        reasoning_tags,
+        reasoning_closing_tag_only,
+        response_cache_enabled,
+        max_concurrency,
+        max_concurrency_per_key,
+        auth_scheme,
+        auth_query_param,
+        extra_headers,
+        azure_deployment,
+        azure_api_version
     } = providerData;
 
+    if (auth_scheme && !keyManager.AUTH_SCHEMES.includes(auth_scheme)) {
+        throw new Error(`Unknown auth scheme '${auth_scheme}'.`);
+    }
+    const headersChanged = Boolean(extra_headers && extra_headers.trim());
+    const hasHeaders = Object.keys(keyManager.parseExtraHeaders(extra_headers)).length > 0; // Throws on invalid JSON
+
     let criticalChange = false;
+    const keysChanged = Boolean(api_keys && api_keys.trim());
+    const secretFields = keysChanged ? { api_keys: keyEncryption.encrypt(api_keys) } : {};
+    if (headersChanged) secretFields.extra_headers = hasHeaders ? keyEncryption.encrypt(extra_headers.trim()) : null;
 
     if (id) { // This is an UPDATE
         const oldProvider = await pool('custom_providers').where('id', id).first();
         if (oldProvider) {
-            if (oldProvider.api_base_url !== api_base_url || oldProvider.api_keys !== api_keys || oldProvider.model_id !== model_id || oldProvider.provider_type !== provider_type) {
-                console.log('[Custom Provider] Critical change detected (URL, keys, model ID, or type). Full key re-validation will be triggered.');
+            if (oldProvider.api_base_url !== api_base_url || keysChanged || oldProvider.model_id !== model_id || oldProvider.provider_type !== provider_type
+                || (oldProvider.auth_scheme || null) !== (auth_scheme || null) || (oldProvider.auth_query_param || null) !== (auth_query_param || null) || headersChanged
+                || (oldProvider.azure_deployment || null) !== (azure_deployment || null) || (oldProvider.azure_api_version || null) !== (azure_api_version || null)) {
+                console.log('[Custom Provider] Critical change detected (URL, keys, model ID, type, auth, or Azure deployment). Full key re-validation will be triggered.');
                 criticalChange = true;
             } else {
                 console.log('[Custom Provider] Non-critical change detected. Key validation will be skipped.');
@@ -50,29 +81,59 @@ async function save(providerData) {
             provider_id,
             display_name,
             api_base_url,
-            api_keys,
+            ...secretFields,
             model_id,
             model_display_name,
             is_enabled,
             enforced_model_name,
             max_context_tokens,
             max_output_tokens,
+            fallback_providers,
+            reasoning_mode,
+            reasoning_tags,
+            reasoning_closing_tag_only,
+            response_cache_enabled,
+            max_concurrency,
+            max_concurrency_per_key,
+            auth_scheme,
+            auth_query_param,
+            azure_deployment,
+            azure_api_version,
             provider_type,
             updated_at: pool.fn.now()
         });
+
+        // Drop the saved status of keys the provider no longer has.
+        if (oldProvider && oldProvider.provider_id !== provider_id) {
+            await keyManager.deleteKeyStates(oldProvider.provider_id);
+        } else if (oldProvider && keysChanged) {
+            const newKeyIds = keyManager.getStoredKeyIds(secretFields.api_keys);
+            await keyManager.deleteKeyStates(provider_id, keyManager.getStoredKeyIds(oldProvider.api_keys).filter(keyId => !newKeyIds.includes(keyId)));
+        }
     } else { // This is an INSERT
         criticalChange = true; // A new provider is always a critical change.
         await pool('custom_providers').insert({
             provider_id,
             display_name,
             api_base_url,
-            api_keys,
+            ...secretFields,
             model_id,
             model_display_name,
             is_enabled,
             enforced_model_name,
             max_context_tokens,
             max_output_tokens,
+            fallback_providers,
+            reasoning_mode,
+            reasoning_tags,
+            reasoning_closing_tag_only,
+            response_cache_enabled,
+            max_concurrency,
+            max_concurrency_per_key,
+            auth_scheme,
+            auth_query_param,
+            azure_deployment,
+            azure_api_version,
             provider_type
         });
     }
@@ -85,12 +146,14 @@ async function save(providerData) {
 }
 
 /**
- * Deletes a custom provider by its ID.
+ * Deletes a custom provider by its ID, along with the saved status of its keys.
  * After deleting, it triggers the keyManager to re-initialize.
  * @param {number} id - The ID of the provider to delete.
  */
 async function remove(id) {
+    const provider = await pool('custom_providers').where('id', id).first();
     await pool('custom_providers').where('id', id).del();
+    if (provider) await keyManager.deleteKeyStates(provider.provider_id);
     // Re-initialize to remove the provider from memory
     await keyManager.initialize();
 }
@@ -0,0 +1,72 @@
+// services/keyEncryption.js
+// Encrypts provider API keys before they are written to the database (AES-256-GCM),
+// using the master key in KEY_ENCRYPTION_KEY. Only keyManager decrypts them.
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+
+/**
+ * Derives the 256-bit AES key from KEY_ENCRYPTION_KEY, which can be any long random string.
+ * @returns {Buffer|null} The key, or null when no master key is configured.
+ */
+function getMasterKey() {
+    const secret = process.env.KEY_ENCRYPTION_KEY;
+    if (!secret) return null;
+    return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Whether a master key is configured, i.e. whether new keys are stored encrypted.
+ */
+function isEnabled() {
+    return Boolean(process.env.KEY_ENCRYPTION_KEY);
+}
+
+/**
+ * Whether a stored value was written by encrypt().
+ */
+function isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+/**
+ * Encrypts a value for storage. Without a master key, the value is stored as-is.
+ * @param {string} plainText - The value to encrypt, e.g. an API key.
+ * @returns {string} `enc:v1:<iv>:<auth tag>:<ciphertext>`, each part base64.
+ */
+function encrypt(plainText) {
+    const masterKey = getMasterKey();
+    if (!masterKey || !plainText || isEncrypted(plainText)) return plainText;
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+    const cipherText = Buffer.concat([cipher.update(plainText, 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), cipherText].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypts a stored value. Values that were never encrypted are returned as-is.
+ * @param {string} storedValue - A value from the database.
+ * @returns {string} The plain text.
+ * @throws {Error} When the master key is missing or wrong, or the value was tampered with.
+ */
+function decrypt(storedValue) {
+    if (!isEncrypted(storedValue)) return storedValue;
+    const masterKey = getMasterKey();
+    if (!masterKey) {
+        throw new Error('This value is encrypted, but KEY_ENCRYPTION_KEY is not set.');
+    }
+
+    const [iv, authTag, cipherText] = storedValue.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, iv);
+    decipher.setAuthTag(authTag);
+    return Buffer.concat([decipher.update(cipherText), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    isEnabled,
+    isEncrypted,
+    encrypt,
+    decrypt,
+};
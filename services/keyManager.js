@@ -2,49 +2,401 @@
 // Manages API keys, their statuses, rotation, and automatic deactivation.
 
 const axios = require('axios');
+const crypto = require('crypto');
 const pool = require('../config/db');
+const keyEncryption = require('./keyEncryption');
+const { parseReasoningTags } = require('./thinkFilter');
 
 // In-memory state to hold all provider and key information
 const state = {
     providers: {}, // e.g., { gemini: { keys: [...], config: {...} } }
 };
 
-const RATE_LIMIT_THRESHOLD = 20; // Deactivate after 20 consecutive rate limit errors
+// Rate-limited keys cool down instead of being deactivated. Without a Retry-After hint from
+// the provider, the cooldown starts at COOLDOWN_BASE_MS and doubles with every consecutive 429.
+const COOLDOWN_BASE_MS = parseInt(process.env.KEY_COOLDOWN_BASE_MS, 10) || 30000;
+const COOLDOWN_MAX_MS = parseInt(process.env.KEY_COOLDOWN_MAX_MS, 10) || 15 * 60 * 1000;
+
+// Keys whose validation failed for reasons unrelated to the key (timeouts, 5xx) are tested
+// again after this delay, doubling on every further failure up to COOLDOWN_MAX_MS.
+const VALIDATION_RETRY_BASE_MS = parseInt(process.env.KEY_VALIDATION_RETRY_MS, 10) || 60000;
+
+// Default models for built-in providers that need one in their request URL or body.
+const BUILT_IN_MODEL_IDS = {
+    claude: 'claude-3-opus-20240229',
+    gemini: process.env.GEMINI_MODEL || 'gemini-pro',
+};
+
+// Built-in providers, as used in their environment variable names.
+const BUILT_IN_PROVIDERS = ['GEMINI', 'DEEPSEEK', 'OPENAI', 'OPENROUTER', 'MISTRAL', 'CLAUDE'];
+
+// How a custom provider's key is sent upstream. 'query' adds it as a query parameter (`key` unless configured),
+// 'none' sends nothing (for providers whose key goes in an extra header, e.g. `Authorization: Token {{key}}`).
+const AUTH_SCHEMES = ['bearer', 'api-key', 'x-api-key', 'query', 'none'];
+// The scheme used when a provider doesn't choose one, by provider type.
+const DEFAULT_AUTH_SCHEMES = {
+    openai: 'bearer',
+    claude: 'x-api-key',
+    azure: 'api-key',
+};
+
+// Azure OpenAI API version used when a provider doesn't set one.
+const DEFAULT_AZURE_API_VERSION = '2024-10-21';
+
+// How the next key is picked for a request. Configured per provider in the admin panel.
+const KEY_SELECTION_STRATEGIES = ['round_robin', 'least_recently_used', 'least_in_flight', 'weighted', 'sticky'];
+
+/**
+ * Returns a stable identifier for a key, so it can be referred to (e.g. for weights)
+ * without storing or showing the key itself.
+ */
+function getKeyId(keyValue) {
+    return crypto.createHash('sha256').update(keyValue).digest('hex').slice(0, 16);
+}
+
+/**
+ * Creates the in-memory record of a key.
+ */
+function createKeyState(value, source = 'env') {
+    return {
+        id: getKeyId(value),
+        value,
+        source, // 'env', 'database' (added in the admin panel) or 'custom' (a custom provider's key list)
+        status: 'unchecked',
+        consecutiveFails: 0,
+        cooldownUntil: 0,
+        validationFailures: 0,
+        lastCheckedAt: null,
+        lastError: null,
+        requestCount: 0,
+        successCount: 0,
+        failureCount: 0,
+        rateLimitCount: 0,
+        statusCounts: {}, // Upstream status code (or 'network') to number of requests
+        inputTokens: 0,
+        outputTokens: 0,
+        lastUsedAt: 0,
+        inFlight: 0,
+        currentWeight: 0, // Running total for smooth weighted round-robin
+        persistChain: Promise.resolve(),
+        persistQueued: false,
+    };
+}
+
+/**
+ * Saves a key's status and counters to the key_status table, so they survive a restart.
+ * Writes for a key run one after another, and a write that is still waiting to run
+ * picks up any later changes, so at most one write per key is ever queued.
+ * @param {string} providerName - The name of the provider.
+ * @param {object} key - The key object.
+ */
+function persistKeyState(providerName, key) {
+    // A removed key's row is gone for good; a late write from a request it was serving must not bring it back.
+    if (key.persistQueued || key.removed) return;
+    key.persistQueued = true;
+    key.persistChain = key.persistChain
+        .then(async () => {
+            key.persistQueued = false;
+            await pool('key_status')
+                .insert({
+                    provider_id: providerName,
+                    key_id: key.id,
+                    status: key.status,
+                    consecutive_fails: key.consecutiveFails,
+                    cooldown_until: key.cooldownUntil ? new Date(key.cooldownUntil) : null,
+                    last_checked_at: key.lastCheckedAt,
+                    last_error: key.lastError,
+                    request_count: key.requestCount,
+                    success_count: key.successCount,
+                    failure_count: key.failureCount,
+                    rate_limit_count: key.rateLimitCount,
+                    status_counts: JSON.stringify(key.statusCounts),
+                    input_tokens: key.inputTokens,
+                    output_tokens: key.outputTokens,
+                    last_used_at: key.lastUsedAt ? new Date(key.lastUsedAt) : null,
+                    updated_at: new Date(),
+                })
+                .onConflict(['provider_id', 'key_id'])
+                .merge();
+        })
+        .catch(error => {
+            console.error(`[Key Manager] Failed to save the status of ${providerName} key ...${key.value.slice(-4)}:`, error.message);
+        });
+}
+
+/**
+ * Waits until the key_status writes that are running or queued have finished.
+ * @param {string} [providerName] - Only wait for this provider's keys.
+ */
+async function flushKeyStates(providerName) {
+    const providers = providerName ? [state.providers[providerName]] : Object.values(state.providers);
+    await Promise.all(providers.filter(Boolean).flatMap(providerData => providerData.keys.map(key => key.persistChain)));
+}
+
+/**
+ * Deletes the saved status of keys that were removed, once their pending writes are done.
+ * @param {string} providerName - The name of the provider.
+ * @param {string[]} [keyIds] - The removed keys' IDs (see getKeyId). Omit to delete all of the provider's.
+ */
+async function deleteKeyStates(providerName, keyIds) {
+    if (keyIds && keyIds.length === 0) return;
+    for (const key of state.providers[providerName]?.keys || []) {
+        if (!keyIds || keyIds.includes(key.id)) key.removed = true;
+    }
+    await flushKeyStates(providerName);
+
+    const query = pool('key_status').where('provider_id', providerName);
+    await (keyIds ? query.whereIn('key_id', keyIds) : query).del();
+}
+
+/**
+ * Returns the IDs of the keys in a stored key list, e.g. to find the keys an edit removed.
+ * @param {string} storedValue - The stored (possibly encrypted) comma-separated keys.
+ * @returns {string[]}
+ */
+function getStoredKeyIds(storedValue) {
+    return readStoredKeys(storedValue, 'a custom provider').map(getKeyId);
+}
+
+/**
+ * Restores a key's status and counters from its key_status row.
+ */
+function restoreKeyState(key, row) {
+    key.status = row.status || 'unchecked';
+    key.consecutiveFails = row.consecutive_fails || 0;
+    key.cooldownUntil = row.cooldown_until ? new Date(row.cooldown_until).getTime() : 0;
+    key.lastCheckedAt = row.last_checked_at ? new Date(row.last_checked_at) : null;
+    key.lastError = row.last_error || null;
+    key.requestCount = row.request_count || 0;
+    key.successCount = row.success_count || 0;
+    key.failureCount = row.failure_count || 0;
+    key.rateLimitCount = row.rate_limit_count || 0;
+    try {
+        key.statusCounts = JSON.parse(row.status_counts || '{}');
+    } catch (error) {
+        key.statusCounts = {};
+    }
+    // Token totals can come back from PostgreSQL bigint columns as strings.
+    key.inputTokens = Number(row.input_tokens) || 0;
+    key.outputTokens = Number(row.output_tokens) || 0;
+    key.lastUsedAt = row.last_used_at ? new Date(row.last_used_at).getTime() : 0;
+}
+
+/**
+ * Parses a comma-separated list of provider IDs into a clean array.
+ */
+function parseProviderList(value) {
+    return (value || '').split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parses a custom provider's extra headers.
+ * @param {string} value - A JSON object of header names to values, e.g. `{"X-Title": "Yomi"}`.
+ * @returns {Object<string, string>} The headers (empty if none are set).
+ * @throws {Error} When the value isn't a JSON object of strings.
+ */
+function parseExtraHeaders(value) {
+    if (!value || !value.trim()) return {};
+    let headers;
+    try {
+        headers = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`Extra headers are not valid JSON: ${error.message}`);
+    }
+    if (!headers || typeof headers !== 'object' || Array.isArray(headers) || Object.values(headers).some(v => typeof v !== 'string')) {
+        throw new Error('Extra headers must be a JSON object of header names to string values.');
+    }
+    return headers;
+}
+
+/**
+ * Adds a provider's key to an upstream request, using the provider's auth scheme, and
+ * adds its extra headers with `{{key}}` replaced by the key.
+ * @param {object} providerConfig - The provider's configuration.
+ * @param {string} apiKey - The key to send.
+ * @param {string} url - The upstream URL.
+ * @param {object} [headers] - The request's other headers.
+ * @returns {{url: string, headers: object}} The URL and headers to send the request with.
+ */
+function applyProviderAuth(providerConfig, apiKey, url, headers = {}) {
+    const scheme = providerConfig.authScheme || DEFAULT_AUTH_SCHEMES[providerConfig.providerType] || 'bearer';
+    const authHeaders = {};
+    if (scheme === 'bearer') {
+        authHeaders['Authorization'] = `Bearer ${apiKey}`;
+    } else if (scheme === 'api-key' || scheme === 'x-api-key') {
+        authHeaders[scheme] = apiKey;
+    } else if (scheme === 'query') {
+        const authUrl = new URL(url);
+        authUrl.searchParams.set(providerConfig.authQueryParam || 'key', apiKey);
+        url = authUrl.toString();
+    }
+
+    const extraHeaders = {};
+    for (const [name, value] of Object.entries(providerConfig.extraHeaders || {})) {
+        extraHeaders[name] = value.split('{{key}}').join(apiKey);
+    }
+    return { url, headers: { ...headers, ...authHeaders, ...extraHeaders } };
+}
+
+/**
+ * Returns the chat completions URL of an OpenAI-compatible or Azure OpenAI custom provider.
+ * Azure routes requests by deployment, e.g. `/openai/deployments/gpt-4o/chat/completions?api-version=2024-10-21`.
+ * @param {object} providerConfig - The provider's configuration.
+ * @returns {string}
+ */
+function getChatCompletionsUrl(providerConfig) {
+    if (providerConfig.providerType === 'azure') {
+        const deployment = encodeURIComponent(providerConfig.azureDeployment);
+        const apiVersion = encodeURIComponent(providerConfig.azureApiVersion);
+        return `${providerConfig.apiBaseUrl}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`;
+    }
+    return `${providerConfig.apiBaseUrl}/v1/chat/completions`;
+}
+
+/**
+ * Reads a custom provider's extra headers, which are stored encrypted like its keys (they
+ * may hold credentials), logging (rather than failing on) a value that can't be read.
+ */
+function readExtraHeaders(provider) {
+    try {
+        return parseExtraHeaders(keyEncryption.decrypt(provider.extra_headers));
+    } catch (error) {
+        console.error(`[Key Manager] Ignoring the extra headers of custom provider '${provider.provider_id}'. ${error.message}`);
+        return {};
+    }
+}
+
+/**
+ * Reads a comma-separated list of keys as stored in the database, decrypting it if needed.
+ * @param {string} storedValue - The stored (possibly encrypted) value.
+ * @param {string} label - What the keys belong to, for the error log.
+ * @returns {string[]} The keys, or none if they could not be decrypted.
+ */
+function readStoredKeys(storedValue, label) {
+    try {
+        return (keyEncryption.decrypt(storedValue) || '').split(',').map(k => k.trim()).filter(Boolean);
+    } catch (error) {
+        console.error(`[Key Manager] Could not decrypt the keys of ${label}. Check KEY_ENCRYPTION_KEY.`, error.message);
+        return [];
+    }
+}
+
+/**
+ * Masks the keys of a stored key list, for admin API responses.
+ * @param {string} storedValue - The stored (possibly encrypted) comma-separated keys.
+ * @returns {string[]} e.g. ['...abcd', '...efgh']
+ */
+function maskStoredKeys(storedValue) {
+    return readStoredKeys(storedValue, 'a custom provider').map(key => `...${key.slice(-4)}`);
+}
+
+/**
+ * Masks the values of a custom provider's extra headers, for admin API responses.
+ * Values with a `{{key}}` template hold no secret of their own and are shown as they are.
+ * @param {object} provider - The custom_providers row.
+ * @returns {Object<string, string>|null} e.g. `{"X-Secret": "...abcd"}`, or null if none are set.
+ */
+function maskExtraHeaders(provider) {
+    const headers = readExtraHeaders(provider);
+    if (Object.keys(headers).length === 0) return null;
+    return Object.fromEntries(Object.entries(headers).map(([name, value]) =>
+        [name, value.includes('{{key}}') ? value : `...${value.slice(-4)}`]
+    ));
+}
+
+/**
+ * Encrypts the keys (and custom provider extra headers) that are still stored in plain text,
+ * and fills in the key IDs of provider_keys rows. Runs on startup, after the schema migrations.
+ */
+async function encryptStoredKeys() {
+    let encrypted = 0;
+    let plainText = 0;
+
+    const providerRows = await pool('custom_providers').select('id', 'api_keys', 'extra_headers');
+    for (const row of providerRows) {
+        for (const column of ['api_keys', 'extra_headers']) {
+            if (!row[column] || keyEncryption.isEncrypted(row[column])) continue;
+            if (keyEncryption.isEnabled()) {
+                await pool('custom_providers').where('id', row.id).update({ [column]: keyEncryption.encrypt(row[column]) });
+                encrypted++;
+            } else {
+                plainText++;
+            }
+        }
+    }
+
+    const keyRows = await pool('provider_keys');
+    for (const row of keyRows) {
+        const update = {};
+        if (!row.key_id) {
+            const keyValue = readStoredKeys(row.key_value, `provider '${row.provider_id}'`)[0];
+            if (keyValue) update.key_id = getKeyId(keyValue);
+        }
+        if (!keyEncryption.isEncrypted(row.key_value)) {
+            if (keyEncryption.isEnabled()) {
+                update.key_value = keyEncryption.encrypt(row.key_value);
+                encrypted++;
+            } else {
+                plainText++;
+            }
+        }
+        if (Object.keys(update).length > 0) {
+            await pool('provider_keys').where('id', row.id).update(update);
+        }
+    }
+
+    if (encrypted > 0) console.log(`[Key Manager] Encrypted ${encrypted} stored key record(s).`);
+    if (plainText > 0) console.warn(`[Key Manager] KEY_ENCRYPTION_KEY is not set. ${plainText} stored key record(s) remain in plain text.`);
+}
 
 /**
  * Initializes the key manager by reading keys and settings from environment variables
- * and custom providers from the database.
+ * and the database, and custom providers from the database.
  */
 async function initialize() {
     console.log('[Key Manager] Initializing...');
+    // Statuses are restored from key_status below, so recent changes must be written first.
+    await flushKeyStates();
     state.providers = {}; // Clear existing providers before re-loading
 
-    // 1. Load built-in providers from .env
-    const supportedProviders = ['GEMINI', 'DEEPSEEK', 'OPENAI', 'OPENROUTER', 'MISTRAL', 'CLAUDE'];
-    for (const provider of supportedProviders) {
-        const keysEnv = process.env[`${provider}_KEY`];
-        if (keysEnv) {
-            const keys = keysEnv.split(',').map(k => k.trim()).filter(Boolean);
-            if (keys.length > 0) {
-                const providerName = provider.toLowerCase();
-                state.providers[providerName] = {
-                    keys: keys.map(key => ({
-                        value: key,
-                        status: 'unchecked',
-                        consecutiveFails: 0,
-                    })),
-                    currentIndex: 0,
-                    config: {
-                        isCustom: false,
-                        providerType: providerName === 'claude' ? 'claude' : 'openai',
-                        apiBaseUrl: providerName === 'claude' ? 'https://api.anthropic.com' : null,
-                        modelId: providerName === 'claude' ? 'claude-3-opus-20240229' : null,
-                        maxContext: process.env[`MAX_CONTEXT_${provider}`] || 'Unlimited',
-                        maxOutput: process.env[`MAX_OUTPUT_${provider}`] || 'Unlimited',
-                    }
-                };
-                console.log(`[Key Manager] Loaded ${keys.length} key(s) for built-in provider: ${providerName}.`);
-            }
+    // 1. Load built-in providers from .env, plus the keys added in the admin panel
+    let storedKeyRows = [];
+    try {
+        storedKeyRows = await pool('provider_keys').orderBy('id');
+    } catch (error) {
+        console.error('[Key Manager] Could not load built-in provider keys from the database. Using .env keys only.', error);
+    }
+    for (const provider of BUILT_IN_PROVIDERS) {
+        const providerName = provider.toLowerCase();
+        const envKeys = (process.env[`${provider}_KEY`] || '').split(',').map(k => k.trim()).filter(Boolean);
+        const storedKeys = storedKeyRows
+            .filter(row => row.provider_id === providerName)
+            .flatMap(row => readStoredKeys(row.key_value, `provider '${providerName}'`))
+            .filter(key => !envKeys.includes(key));
+        const keys = [...new Set(envKeys)].map(key => createKeyState(key, 'env'))
+            .concat([...new Set(storedKeys)].map(key => createKeyState(key, 'database')));
+        if (keys.length > 0) {
+            state.providers[providerName] = {
+                keys,
+                currentIndex: 0,
+                keySelection: { strategy: 'round_robin', weights: {} },
+                config: {
+                    isCustom: false,
+                    providerType: providerName === 'claude' ? 'claude' : 'openai',
+                    apiBaseUrl: providerName === 'claude' ? 'https://api.anthropic.com' : null,
+                    modelId: BUILT_IN_MODEL_IDS[providerName] || null,
+                    maxContext: process.env[`MAX_CONTEXT_${provider}`] || 'Unlimited',
+                    maxOutput: process.env[`MAX_OUTPUT_${provider}`] || 'Unlimited',
+                    fallbackProviders: parseProviderList(process.env[`FALLBACK_${provider}`]),
+                    reasoningMode: process.env[`REASONING_MODE_${provider}`] || 'strip',
+                    reasoningTags: parseReasoningTags(process.env[`REASONING_TAGS_${provider}`]),
+                    reasoningClosingTagOnly: process.env[`REASONING_CLOSING_TAG_ONLY_${provider}`] === 'true',
+                    responseCache: process.env[`RESPONSE_CACHE_${provider}`] === 'true',
+                    maxConcurrency: parseInt(process.env[`MAX_CONCURRENCY_${provider}`], 10) || 0,
+                    maxConcurrencyPerKey: parseInt(process.env[`MAX_CONCURRENCY_PER_KEY_${provider}`], 10) || 0,
+                }
+            };
+            console.log(`[Key Manager] Loaded ${keys.length} key(s) for built-in provider: ${providerName}.`);
         }
     }
 
@@ -52,15 +404,12 @@ async function initialize() {
     try {
         const rows = await pool('custom_providers').where('is_enabled', true);
         for (const provider of rows) {
-            const keys = (provider.api_keys || '').split(',').map(k => k.trim()).filter(Boolean);
+            const keys = readStoredKeys(provider.api_keys, `custom provider '${provider.provider_id}'`);
             if (keys.length > 0) {
                 state.providers[provider.provider_id] = {
-                    keys: keys.map(key => ({
-                        value: key,
-                        status: 'unchecked',
-                        consecutiveFails: 0,
-                    })),
+                    keys: keys.map(key => createKeyState(key, 'custom')),
                     currentIndex: 0,
+                    keySelection: { strategy: 'round_robin', weights: {} },
                     config: {
                         isCustom: true,
                         providerType: provider.provider_type || 'openai',
@@ -71,6 +420,19 @@ async function initialize() {
                         enforcedModelName: provider.enforced_model_name,
                         maxContext: provider.max_context_tokens || 'Unlimited',
                         maxOutput: provider.max_output_tokens || 'Unlimited',
+                        fallbackProviders: parseProviderList(provider.fallback_providers),
+                        reasoningMode: provider.reasoning_mode || 'strip',
+                        reasoningTags: parseReasoningTags(provider.reasoning_tags),
+                        reasoningClosingTagOnly: Boolean(provider.reasoning_closing_tag_only),
+                        responseCache: Boolean(provider.response_cache_enabled),
+                        maxConcurrency: provider.max_concurrency || 0,
+                        maxConcurrencyPerKey: provider.max_concurrency_per_key || 0,
+                        authScheme: provider.auth_scheme || null,
+                        authQueryParam: provider.auth_query_param || null,
+                        extraHeaders: readExtraHeaders(provider),
+                        // Azure OpenAI only. The deployment defaults to the model ID.
+                        azureDeployment: provider.azure_deployment || provider.model_id,
+                        azureApiVersion: provider.azure_api_version || DEFAULT_AZURE_API_VERSION,
                     }
                 };
                 console.log(`[Key Manager] Loaded ${keys.length} key(s) for custom provider: ${provider.provider_id}.`);
@@ -80,9 +442,168 @@ async function initialize() {
         console.error('[Key Manager] CRITICAL: Could not load custom providers from database. Check DB connection and table.', error);
         throw error;
     }
+
+    // 3. Load key selection settings from the database
+    try {
+        const rows = await pool('key_selection_settings');
+        for (const row of rows) {
+            if (state.providers[row.provider_id]) {
+                state.providers[row.provider_id].keySelection = parseKeySelectionRow(row);
+            }
+        }
+    } catch (error) {
+        console.error('[Key Manager] Could not load key selection settings. Using round-robin for all providers.', error);
+    }
+
+    // 4. Restore the key statuses saved before the last restart
+    try {
+        const rows = await pool('key_status');
+        let restored = 0;
+        for (const row of rows) {
+            const key = state.providers[row.provider_id]?.keys.find(k => k.id === row.key_id);
+            if (key) {
+                restoreKeyState(key, row);
+                restored++;
+                if (key.status === 'error') {
+                    key.validationFailures = 1;
+                    scheduleKeyRetest(row.provider_id, key);
+                }
+            }
+        }
+        console.log(`[Key Manager] Restored the saved status of ${restored} key(s).`);
+    } catch (error) {
+        console.error('[Key Manager] Could not restore saved key statuses. All keys start unchecked.', error);
+    }
     console.log('[Key Manager] Initialization complete.');
 }
 
+/**
+ * Reads how long the provider asked us to wait from a response's headers: Retry-After
+ * (seconds or an HTTP date), retry-after-ms, or a rate limit reset header
+ * (OpenAI's durations like "6m0s", Anthropic's timestamps).
+ * @param {object} [headers] - The response headers.
+ * @returns {number|null} The wait in milliseconds, or null if the headers don't say.
+ */
+function getRetryAfterMs(headers) {
+    if (!headers) return null;
+
+    const retryAfterMs = parseFloat(headers['retry-after-ms']);
+    if (retryAfterMs > 0) return retryAfterMs;
+
+    const retryAfter = headers['retry-after'];
+    if (retryAfter) {
+        const seconds = Number(retryAfter);
+        if (!Number.isNaN(seconds)) return seconds * 1000;
+        const date = Date.parse(retryAfter);
+        if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0);
+    }
+
+    const reset = headers['x-ratelimit-reset-requests'] || headers['x-ratelimit-reset-tokens']
+        || headers['anthropic-ratelimit-requests-reset'] || headers['anthropic-ratelimit-tokens-reset'];
+    if (reset) {
+        if (/^\d+(\.\d+)?$/.test(reset)) return parseFloat(reset) * 1000;
+        const duration = String(reset).match(/^(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m(?!s))?(?:(\d+(?:\.\d+)?)s)?(?:(\d+(?:\.\d+)?)ms)?$/);
+        if (duration && duration[0]) {
+            const [h, m, sec, ms] = duration.slice(1).map(part => parseFloat(part) || 0);
+            return ((h * 60 + m) * 60 + sec) * 1000 + ms;
+        }
+        const date = Date.parse(reset);
+        if (!Number.isNaN(date)) return Math.max(date - Date.now(), 0);
+    }
+    return null;
+}
+
+/**
+ * Puts a rate-limited key on a timed cooldown. It becomes active again on its own
+ * once the cooldown is over.
+ * @param {object} key - The key object.
+ * @param {number|null} retryAfterMs - How long the provider asked us to wait, if it said.
+ */
+function startCooldown(key, retryAfterMs) {
+    const backoffMs = Math.min(COOLDOWN_BASE_MS * 2 ** Math.max(key.consecutiveFails - 1, 0), COOLDOWN_MAX_MS);
+    const durationMs = retryAfterMs != null ? Math.min(retryAfterMs, COOLDOWN_MAX_MS) : backoffMs;
+    key.status = 'cooling_down';
+    key.cooldownUntil = Date.now() + durationMs;
+    return durationMs;
+}
+
+/**
+ * Returns keys whose cooldown is over to 'active'.
+ * @param {string} providerName - The name of the provider.
+ */
+function releaseExpiredCooldowns(providerName) {
+    const now = Date.now();
+    for (const key of state.providers[providerName].keys) {
+        if (key.status === 'cooling_down' && key.cooldownUntil <= now) {
+            key.status = 'active';
+            key.cooldownUntil = 0;
+            persistKeyState(providerName, key);
+        }
+    }
+}
+
+/**
+ * Tests a key with the right test for its provider.
+ * @param {string} providerName - The name of the provider.
+ * @param {object} key - The key object to test.
+ */
+async function testProviderKey(providerName, key) {
+    const providerData = state.providers[providerName];
+    if (providerData.config.isCustom) {
+        await testCustomKey({ ...providerData.config, name: providerName }, key);
+    } else {
+        await testKey(providerName, key);
+    }
+    if (key.status !== 'error') key.validationFailures = 0;
+    if (key.status === 'active') key.lastError = null;
+    key.lastCheckedAt = new Date();
+    persistKeyState(providerName, key);
+}
+
+/**
+ * Tests a key again later, after its validation failed for reasons unrelated to the key.
+ */
+function scheduleKeyRetest(providerName, key) {
+    const delayMs = Math.min(VALIDATION_RETRY_BASE_MS * 2 ** (key.validationFailures - 1), COOLDOWN_MAX_MS);
+    const timer = setTimeout(async () => {
+        // Saving a provider or its keys reloads the keys from scratch, which makes this one stale,
+        // and a manual re-check may already have tested it again.
+        if (!state.providers[providerName]?.keys.includes(key) || key.status !== 'error') return;
+        await testProviderKey(providerName, key);
+        console.log(`[Key Test] Retested ${providerName} key ...${key.value.slice(-4)}: ${key.status}.`);
+    }, delayMs);
+    timer.unref();
+}
+
+/**
+ * Sets a key's status after its validation request failed.
+ * Only auth and quota errors say something about the key itself. A 429 means it works
+ * but is busy, and timeouts or server errors are the provider's problem, so those keys
+ * are tested again later instead of being revoked.
+ * @param {string} providerName - The name of the provider.
+ * @param {object} key - The key object that was tested.
+ * @param {Error} error - The error from the validation request.
+ */
+function applyKeyTestFailure(providerName, key, error) {
+    const status = error.response?.status;
+    key.lastError = `Validation failed (Status: ${status || 'N/A'}): ${error.message}`;
+    if (status === 401 || status === 403) {
+        key.status = 'revoked';
+    } else if (status === 402) {
+        key.status = 'over_quota';
+    } else if (status === 429) {
+        startCooldown(key, getRetryAfterMs(error.response.headers));
+    } else if (!status || status === 408 || status >= 500) {
+        key.status = 'error';
+        key.validationFailures++;
+        scheduleKeyRetest(providerName, key);
+        console.warn(`[Key Test] Key for ${providerName} could not be validated (Status: ${status || 'N/A'}). Will retry later. Error: ${error.message}`);
+    } else {
+        key.status = 'revoked';
+        console.warn(`[Key Test] Key for ${providerName} failed with status ${status}. Error: ${error.message}`);
+    }
+}
+
 async function testClaudeKey(providerConfig, key) {
     const testUrl = `${providerConfig.apiBaseUrl}/v1/messages`;
     const testPayload = {
@@ -90,26 +611,17 @@ async function testClaudeKey(providerConfig, key) {
         messages: [{ role: 'user', content: 'hello' }],
         max_tokens: 2
     };
-    const headers = {
+    const { url, headers } = applyProviderAuth(providerConfig, key.value, testUrl, {
         'Content-Type': 'application/json',
-        'x-api-key': key.value,
         'anthropic-version': '2023-06-01'
-    };
+    });
 
     try {
         // MODIFIED: Increased timeout from 10000 to 20000
-        await axios.post(testUrl, testPayload, { headers, timeout: 20000 });
+        await axios.post(url, testPayload, { headers, timeout: 20000 });
         key.status = 'active';
     } catch (error) {
-        const status = error.response?.status;
-        if (status === 401 || status === 403) {
-            key.status = 'revoked';
-        } else if (status === 402) {
-            key.status = 'over_quota';
-        } else {
-            key.status = 'revoked';
-            console.warn(`[Key Test] Claude key for provider '${providerConfig.displayName}' failed with status ${status || 'N/A'}. Error: ${error.message}`);
-        }
+        applyKeyTestFailure(providerConfig.name, key, error);
     }
 }
 
@@ -124,32 +636,21 @@ async function testCustomKey(providerConfig, key) {
         return await testClaudeKey(providerConfig, key);
     }
     
-    // Default to OpenAI-compatible test
-    const testUrl = `${providerConfig.apiBaseUrl}/v1/chat/completions`;
+    // Default to OpenAI-compatible test (Azure OpenAI speaks the same API)
+    const testUrl = getChatCompletionsUrl(providerConfig);
     const testPayload = {
         model: providerConfig.modelId,
         messages: [{ role: 'user', content: 'hello' }],
         max_tokens: 1
     };
-    const headers = {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${key.value}`
-    };
+    const { url, headers } = applyProviderAuth(providerConfig, key.value, testUrl, { 'Content-Type': 'application/json' });
 
     try {
         // MODIFIED: Increased timeout from 10000 to 20000
-        await axios.post(testUrl, testPayload, { headers, timeout: 20000 });
+        await axios.post(url, testPayload, { headers, timeout: 20000 });
         key.status = 'active';
     } catch (error) {
-        const status = error.response?.status;
-        if (status === 401 || status === 403) {
-            key.status = 'revoked';
-        } else if (status === 402) {
-            key.status = 'over_quota';
-        } else {
-            key.status = 'revoked';
-            console.warn(`[Key Test] Custom key for ${providerConfig.displayName} failed with status ${status || 'N/A'}. Error: ${error.message}`);
-        }
+        applyKeyTestFailure(providerConfig.name, key, error);
     }
 }
 
@@ -167,9 +668,10 @@ async function testKey(provider, key) {
         switch (provider) {
             case 'claude':
                 const claudeConfig = state.providers['claude'].config;
-                return await testClaudeKey(claudeConfig, key);
+                return await testClaudeKey({ ...claudeConfig, name: 'claude' }, key);
             case 'gemini':
-                testUrl = `https://generativelanguage.googleapis.com/v1beta/models/gemini-pro:generateContent?key=${apiKey}`;
+                const geminiModel = state.providers['gemini'].config.modelId;
+                testUrl = `https://generativelanguage.googleapis.com/v1beta/models/${geminiModel}:generateContent?key=${apiKey}`;
                 testPayload = { contents: [{ parts: [{ text: "hello" }] }] };
                 headers = { 'Content-Type': 'application/json' };
                 break;
@@ -202,71 +704,384 @@ async function testKey(provider, key) {
         await axios.post(testUrl, testPayload, { headers, timeout: 20000 });
         key.status = 'active';
     } catch (error) {
-        const status = error.response?.status;
-        if (status === 401 || status === 403) {
-            key.status = 'revoked';
-        } else if (status === 402) {
-            key.status = 'over_quota';
-        } else {
-            key.status = 'revoked';
-            console.warn(`[Key Test] Key for ${provider} failed with status ${status || 'N/A'}. Error: ${error.message}`);
-        }
+        applyKeyTestFailure(provider, key, error);
     }
 }
 
 /**
  * Iterates through all loaded keys and tests them.
+ * @param {object} [options]
+ * @param {boolean} [options.onlyUnchecked] - Only test keys without a saved status (used on startup,
+ *   so a restart doesn't spend quota re-testing keys whose status is already known).
  */
-async function checkAllKeys() {
+async function checkAllKeys({ onlyUnchecked = false } = {}) {
     console.log('[Key Manager] Performing startup key validation...');
     const promises = [];
     for (const providerName in state.providers) {
-        const providerData = state.providers[providerName];
-        for (const key of providerData.keys) {
-            if (providerData.config.isCustom) {
-                promises.push(testCustomKey(providerData.config, key));
-            } else {
-                promises.push(testKey(providerName, key));
-            }
+        for (const key of state.providers[providerName].keys) {
+            if (key.status === 'disabled' || (onlyUnchecked && key.status !== 'unchecked')) continue;
+            promises.push(testProviderKey(providerName, key));
         }
     }
     await Promise.all(promises);
     console.log('[Key Manager] Startup key validation complete.');
 }
 
+/**
+ * Builds a provider's key selection settings from their database row.
+ */
+function parseKeySelectionRow(row) {
+    let weights = {};
+    try {
+        weights = JSON.parse(row.key_weights || '{}');
+    } catch (error) {
+        console.warn(`[Key Manager] Ignoring invalid key weights for ${row.provider_id}.`);
+    }
+    const strategy = KEY_SELECTION_STRATEGIES.includes(row.strategy) ? row.strategy : 'round_robin';
+    return { strategy, weights };
+}
+
+/**
+ * Returns the weight of a key for the 'weighted' strategy (1 unless the admin set one).
+ */
+function getKeyWeight(providerData, key) {
+    const weight = parseInt(providerData.keySelection.weights[key.id], 10);
+    return weight > 0 ? weight : 1;
+}
+
+/**
+ * Picks a key using round-robin, starting after the last key handed out.
+ */
+function pickRoundRobin(providerData, usableKeys) {
+    const totalKeys = providerData.keys.length;
+    for (let i = 0; i < totalKeys; i++) {
+        const key = providerData.keys[(providerData.currentIndex + i) % totalKeys];
+        if (usableKeys.includes(key)) return key;
+    }
+    return null;
+}
+
+/**
+ * Picks the key that has gone unused the longest.
+ */
+function pickLeastRecentlyUsed(usableKeys) {
+    return usableKeys.reduce((best, key) => key.lastUsedAt < best.lastUsedAt ? key : best);
+}
+
+/**
+ * Picks the key with the fewest requests in progress. Ties go to the key unused the longest.
+ */
+function pickLeastInFlight(usableKeys) {
+    return usableKeys.reduce((best, key) => {
+        if (key.inFlight !== best.inFlight) return key.inFlight < best.inFlight ? key : best;
+        return key.lastUsedAt < best.lastUsedAt ? key : best;
+    });
+}
+
+/**
+ * Picks a key in proportion to its weight, using smooth weighted round-robin:
+ * a key with weight 3 gets three of every four requests next to a key with weight 1,
+ * spread out rather than in bursts.
+ */
+function pickWeighted(providerData, usableKeys) {
+    let totalWeight = 0;
+    let best = null;
+    for (const key of usableKeys) {
+        const weight = getKeyWeight(providerData, key);
+        key.currentWeight += weight;
+        totalWeight += weight;
+        if (!best || key.currentWeight > best.currentWeight) best = key;
+    }
+    best.currentWeight -= totalWeight;
+    return best;
+}
+
+/**
+ * Picks the same key for the same user token every time, so providers with prompt
+ * caching see each user's requests on one key. Uses rendezvous hashing: when a key
+ * becomes unusable, only the users on that key move to another one.
+ */
+function pickSticky(usableKeys, userTokenId) {
+    let best = null;
+    let bestScore = null;
+    for (const key of usableKeys) {
+        const score = crypto.createHash('sha256').update(`${userTokenId}:${key.id}`).digest('hex');
+        if (bestScore === null || score > bestScore) {
+            best = key;
+            bestScore = score;
+        }
+    }
+    return best;
+}
+
+/**
+ * Tests keys again in the background: every key that isn't active (so keys whose quota
+ * has reset come back), plus a random sample of the active ones. Cooling down keys are
+ * left alone, since they come back on their own.
+ * @param {object} [options]
+ * @param {number} [options.sampleRate] - The share of active keys to test, from 0 to 1.
+ * @param {number} [options.concurrency] - How many keys are tested at the same time.
+ * @returns {Promise<Array<{provider: string, key: string, before: string, after: string}>>} One entry per tested key.
+ */
+async function revalidateKeys({ sampleRate = 0, concurrency = 3 } = {}) {
+    const targets = [];
+    for (const providerName in state.providers) {
+        for (const key of state.providers[providerName].keys) {
+            if (key.status === 'cooling_down' || key.status === 'disabled') continue;
+            if (key.status !== 'active' || Math.random() < sampleRate) {
+                targets.push({ providerName, key });
+            }
+        }
+    }
+
+    const results = [];
+    let nextIndex = 0;
+    const worker = async () => {
+        while (nextIndex < targets.length) {
+            const { providerName, key } = targets[nextIndex++];
+            const before = key.status;
+            await testProviderKey(providerName, key);
+            results.push({ provider: providerName, key: `...${key.value.slice(-4)}`, before, after: key.status });
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, targets.length) }, worker));
+    return results;
+}
+
 /**
  * --- MODIFIED FOR TESTING STATE ---
- * Gets the next available active key for a provider using round-robin.
+ * Gets the next available active key for a provider, using the provider's key selection strategy.
  * If STATE is 'TESTING', it will also treat 'unchecked' keys as 'active'.
  * @param {string} provider - The name of the provider.
+ * @param {Set<string>} [excludeKeys] - Key values to skip (e.g. keys that already failed for this request).
+ * @param {number|string|null} [userTokenId] - The user token making the request, for the 'sticky' strategy.
  * @returns {object|null} The key object or null if no active keys are available.
  */
-function getRotatingKey(provider) {
+function getRotatingKey(provider, excludeKeys = new Set(), userTokenId = null) {
     const providerData = state.providers[provider];
     if (!providerData || providerData.keys.length === 0) return null;
 
     const isTesting = process.env.STATE === 'TESTING';
-    const totalKeys = providerData.keys.length;
+    releaseExpiredCooldowns(provider);
 
-    for (let i = 0; i < totalKeys; i++) {
-        const keyIndex = (providerData.currentIndex + i) % totalKeys;
-        const key = providerData.keys[keyIndex];
+    // A key is usable if its status is 'active', OR if we are in testing mode
+    // and the key's status is 'unchecked'.
+    const usableKeys = providerData.keys.filter(key =>
+        (key.status === 'active' || (isTesting && key.status === 'unchecked')) && !excludeKeys.has(key.value)
+    );
 
-        // A key is usable if its status is 'active', OR if we are in testing mode
-        // and the key's status is 'unchecked'.
-        const isUsable = key.status === 'active' || (isTesting && key.status === 'unchecked');
-
-        if (isUsable) {
-            providerData.currentIndex = (keyIndex + 1) % totalKeys;
-            return key;
+    if (usableKeys.length === 0) {
+        if (isTesting) {
+            console.warn(`[Key Manager] No usable keys for ${provider} in TESTING mode. All keys are either over_quota or revoked.`);
         }
+        return null; // No active keys found
+    }
+
+    // Keys at their own concurrency limit would only make the request wait, so another
+    // key is picked while one has room. If none has, the request queues for the chosen key.
+    // A user's sticky key is kept even when it is busy: the request queues for it instead.
+    const strategy = providerData.keySelection.strategy;
+    const sticksToUser = strategy === 'sticky' && userTokenId != null;
+    const perKeyLimit = providerData.config.maxConcurrencyPerKey;
+    const keysWithRoom = perKeyLimit > 0 && !sticksToUser ? usableKeys.filter(key => key.inFlight < perKeyLimit) : usableKeys;
+    const candidateKeys = keysWithRoom.length > 0 ? keysWithRoom : usableKeys;
+
+    let key;
+    switch (strategy) {
+        case 'least_recently_used':
+            key = pickLeastRecentlyUsed(candidateKeys);
+            break;
+        case 'least_in_flight':
+            key = pickLeastInFlight(candidateKeys);
+            break;
+        case 'weighted':
+            key = pickWeighted(providerData, candidateKeys);
+            break;
+        case 'sticky':
+            // Requests without a user token (e.g. password mode) have nothing to stick to.
+            key = sticksToUser ? pickSticky(candidateKeys, userTokenId) : pickRoundRobin(providerData, candidateKeys);
+            break;
+        default:
+            key = pickRoundRobin(providerData, candidateKeys);
+    }
+
+    providerData.currentIndex = (providerData.keys.indexOf(key) + 1) % providerData.keys.length;
+    key.lastUsedAt = Date.now();
+    return key;
+}
+
+/**
+ * Marks a key as serving a request, for the 'least_in_flight' strategy.
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyValue - The key serving the request.
+ * @returns {Function} Call once the request is over.
+ */
+function trackKeyInFlight(provider, keyValue) {
+    const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
+    if (!key) return () => {};
+    key.inFlight++;
+    let done = false;
+    return () => {
+        if (done) return;
+        done = true;
+        key.inFlight--;
+    };
+}
+
+/**
+ * Returns what the admin panel shows about a key, with the key itself masked.
+ */
+function describeKey(key) {
+    return {
+        id: key.id,
+        masked: `...${key.value.slice(-4)}`,
+        source: key.source,
+        status: key.status,
+        inFlight: key.inFlight,
+        cooldownUntil: key.cooldownUntil ? new Date(key.cooldownUntil) : null,
+        lastCheckedAt: key.lastCheckedAt,
+        lastError: key.lastError,
+        requestCount: key.requestCount,
+        successCount: key.successCount,
+        failureCount: key.failureCount,
+        rateLimitCount: key.rateLimitCount,
+        statusCounts: key.statusCounts,
+        inputTokens: key.inputTokens,
+        outputTokens: key.outputTokens,
+        lastUsedAt: key.lastUsedAt ? new Date(key.lastUsedAt) : null,
+    };
+}
+
+/**
+ * Returns every loaded key, masked and grouped by provider, for the admin panel.
+ * @returns {Array<{provider: string, isCustom: boolean, keys: Array<object>}>}
+ */
+function listKeys() {
+    return Object.entries(state.providers).map(([providerName, providerData]) => {
+        releaseExpiredCooldowns(providerName);
+        return { provider: providerName, isCustom: providerData.config.isCustom, keys: providerData.keys.map(describeKey) };
+    });
+}
+
+/**
+ * Returns a usable key for a side request (e.g. listing models), without counting it as used:
+ * unlike getRotatingKey, this leaves the key selection strategies and usage stats untouched.
+ * @param {string} provider - The name of the provider.
+ * @returns {string|null} The key, or null if the provider has no usable key.
+ */
+function peekUsableKey(provider) {
+    const providerData = state.providers[provider];
+    if (!providerData) return null;
+    releaseExpiredCooldowns(provider);
+    const isTesting = process.env.STATE === 'TESTING';
+    const key = providerData.keys.find(k => k.status === 'active' || (isTesting && k.status === 'unchecked'));
+    return key ? key.value : null;
+}
+
+/**
+ * Whether a provider already has a key loaded, from any source.
+ */
+function hasKey(provider, keyValue) {
+    return Boolean(state.providers[provider]?.keys.some(k => k.value === keyValue));
+}
+
+/**
+ * Finds a loaded key by its ID.
+ * @returns {object|null}
+ */
+function findKeyById(provider, keyId) {
+    return state.providers[provider]?.keys.find(k => k.id === keyId) || null;
+}
+
+/**
+ * Takes a key out of rotation, or puts it back. A re-enabled key is tested before it is used again.
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyId - The key's ID (see getKeyId).
+ * @param {boolean} enabled - Whether the key should be used.
+ * @returns {Promise<object|null>} The key as shown in the admin panel, or null if there is no such key.
+ */
+async function setKeyEnabled(provider, keyId, enabled) {
+    const key = findKeyById(provider, keyId);
+    if (!key) return null;
+    if (!enabled) {
+        key.status = 'disabled';
+        key.cooldownUntil = 0;
+        persistKeyState(provider, key);
+        console.log(`[Key Manager] Disabled ${provider} key ...${key.value.slice(-4)}.`);
+    } else if (key.status === 'disabled') {
+        key.status = 'unchecked';
+        await testProviderKey(provider, key);
+        console.log(`[Key Manager] Re-enabled ${provider} key ...${key.value.slice(-4)}: ${key.status}.`);
+    }
+    return describeKey(key);
+}
+
+/**
+ * Tests a single key now.
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyId - The key's ID (see getKeyId).
+ * @returns {Promise<object|null>} The key as shown in the admin panel, or null if there is no such key.
+ */
+async function retestKey(provider, keyId) {
+    const key = findKeyById(provider, keyId);
+    if (!key) return null;
+    if (key.status !== 'disabled') {
+        await testProviderKey(provider, key);
     }
+    return describeKey(key);
+}
+
+/**
+ * Whether a provider is one of the built-in providers (e.g. 'gemini').
+ */
+function isBuiltInProvider(provider) {
+    return BUILT_IN_PROVIDERS.includes(String(provider).toUpperCase());
+}
+
+/**
+ * Returns a provider's key selection settings, with its keys masked, for the admin panel.
+ * @param {string} provider - The name of the provider.
+ * @returns {object|null}
+ */
+function getKeySelection(provider) {
+    const providerData = state.providers[provider];
+    if (!providerData) return null;
+    releaseExpiredCooldowns(provider);
+    return {
+        provider,
+        strategy: providerData.keySelection.strategy,
+        strategies: KEY_SELECTION_STRATEGIES,
+        keys: providerData.keys.map(key => ({ ...describeKey(key), weight: getKeyWeight(providerData, key) })),
+    };
+}
 
-    if (isTesting) {
-        console.warn(`[Key Manager] No usable keys for ${provider} in TESTING mode. All keys are either over_quota or revoked.`);
+/**
+ * Saves a provider's key selection strategy and key weights, and applies them right away.
+ * @param {string} provider - The name of the provider.
+ * @param {string} strategy - One of KEY_SELECTION_STRATEGIES.
+ * @param {object} [weights] - Key ID to weight, for the 'weighted' strategy.
+ */
+async function setKeySelection(provider, strategy, weights = {}) {
+    if (!KEY_SELECTION_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown key selection strategy: ${strategy}`);
+    }
+    const cleanWeights = {};
+    for (const [keyId, weight] of Object.entries(weights || {})) {
+        const value = parseInt(weight, 10);
+        if (value > 0) cleanWeights[keyId] = value;
     }
 
-    return null; // No active keys found
+    await pool('key_selection_settings')
+        .insert({ provider_id: provider, strategy, key_weights: JSON.stringify(cleanWeights) })
+        .onConflict('provider_id')
+        .merge();
+
+    const providerData = state.providers[provider];
+    if (providerData) {
+        providerData.keySelection = { strategy, weights: cleanWeights };
+        providerData.keys.forEach(key => { key.currentWeight = 0; });
+    }
+    console.log(`[Key Manager] Key selection for ${provider} set to '${strategy}'.`);
 }
 
 /**
@@ -282,30 +1097,102 @@ function getProviderConfig(provider) {
     return null;
 }
 
+/**
+ * Returns the ordered list of providers to try for a request: the provider itself,
+ * followed by its configured fallbacks. Fallbacks are not followed transitively, and
+ * unknown or disabled providers are left out.
+ * @param {string} provider - The provider the request was made to.
+ * @returns {string[]}
+ */
+function getFallbackChain(provider) {
+    const fallbacks = state.providers[provider]?.config.fallbackProviders || [];
+    const chain = [provider];
+    for (const fallback of fallbacks) {
+        if (state.providers[fallback] && !chain.includes(fallback)) {
+            chain.push(fallback);
+        }
+    }
+    return chain;
+}
+
 function deactivateKey(provider, keyValue, reason) {
     const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
     if (key && key.status === 'active') {
         key.status = reason;
+        persistKeyState(provider, key);
         console.log(`[Key Manager] Deactivated key for ${provider} due to: ${reason}. Key ending in ...${keyValue.slice(-4)}`);
     }
 }
 
-function recordSuccess(provider, keyValue) {
+/**
+ * Counts a request to a key in its usage stats.
+ */
+function countKeyRequest(key, statusCode) {
+    key.requestCount++;
+    key.statusCounts[statusCode] = (key.statusCounts[statusCode] || 0) + 1;
+}
+
+/**
+ * Records that a key served a request.
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyValue - The key that served the request.
+ * @param {number} [statusCode] - The provider's status code.
+ */
+function recordSuccess(provider, keyValue, statusCode = 200) {
     const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
     if (key) {
         key.consecutiveFails = 0;
+        key.successCount++;
+        countKeyRequest(key, statusCode);
+        persistKeyState(provider, key);
+    }
+}
+
+/**
+ * Records that a request with a key failed upstream. Whether the key is at fault
+ * is decided separately (see deactivateKey and recordFailure).
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyValue - The key the request was made with.
+ * @param {number|null} statusCode - The provider's status code, or null for a network error.
+ * @param {string} message - What went wrong.
+ */
+function recordKeyError(provider, keyValue, statusCode, message) {
+    const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
+    if (key) {
+        key.failureCount++;
+        key.lastError = `${statusCode ? `Status ${statusCode}` : 'Network error'}: ${message}`;
+        countKeyRequest(key, statusCode || 'network');
+        persistKeyState(provider, key);
+    }
+}
+
+/**
+ * Adds the tokens of a response to the usage stats of the key that served it.
+ */
+function recordKeyTokens(provider, keyValue, inputTokens = 0, outputTokens = 0) {
+    const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
+    if (key) {
+        key.inputTokens += inputTokens || 0;
+        key.outputTokens += outputTokens || 0;
+        persistKeyState(provider, key);
     }
 }
 
-function recordFailure(provider, keyValue) {
+/**
+ * Records a rate limit error for a key and puts it on a cooldown: as long as the
+ * provider asked for, or an exponential backoff over the consecutive 429s.
+ * @param {string} provider - The name of the provider.
+ * @param {string} keyValue - The rate-limited key.
+ * @param {number|null} [retryAfterMs] - The wait the provider asked for, from getRetryAfterMs().
+ */
+function recordFailure(provider, keyValue, retryAfterMs = null) {
     const key = state.providers[provider]?.keys.find(k => k.value === keyValue);
     if (key && key.status === 'active') {
         key.consecutiveFails++;
-        console.warn(`[Key Manager] Rate limit failure #${key.consecutiveFails} for ${provider} key ...${keyValue.slice(-4)}`);
-        if (key.consecutiveFails >= RATE_LIMIT_THRESHOLD) {
-            deactivateKey(provider, keyValue, 'revoked');
-            console.error(`[Key Manager] Deactivated key for ${provider} after ${RATE_LIMIT_THRESHOLD} consecutive rate limit errors.`);
-        }
+        key.rateLimitCount++;
+        const durationMs = startCooldown(key, retryAfterMs);
+        persistKeyState(provider, key);
+        console.warn(`[Key Manager] Rate limit failure #${key.consecutiveFails} for ${provider} key ...${keyValue.slice(-4)}. Cooling down for ${Math.ceil(durationMs / 1000)}s.`);
     }
 }
 
@@ -329,6 +1216,7 @@ function getProviderStats() {
 
     for (const providerName in state.providers) {
         const providerData = state.providers[providerName];
+        releaseExpiredCooldowns(providerName);
         
         let activeKeysCount, revokedKeysCount;
 
@@ -348,6 +1236,8 @@ function getProviderStats() {
             keys: {
                 active: activeKeysCount,
                 over_quota: providerData.keys.filter(k => k.status === 'over_quota').length,
+                cooling_down: providerData.keys.filter(k => k.status === 'cooling_down').length,
+                error: providerData.keys.filter(k => k.status === 'error').length,
                 revoked: revokedKeysCount,
             }
         };
@@ -356,13 +1246,38 @@ function getProviderStats() {
 }
 
 module.exports = {
+    BUILT_IN_PROVIDERS,
+    AUTH_SCHEMES,
     initialize,
+    encryptStoredKeys,
+    maskStoredKeys,
+    maskExtraHeaders,
     checkAllKeys,
+    revalidateKeys,
     getRotatingKey,
+    peekUsableKey,
+    trackKeyInFlight,
+    getKeySelection,
+    setKeySelection,
     getProviderConfig,
+    getFallbackChain,
+    parseExtraHeaders,
+    applyProviderAuth,
+    getChatCompletionsUrl,
     deactivateKey,
     recordSuccess,
+    recordKeyError,
+    recordKeyTokens,
     recordFailure,
+    getRetryAfterMs,
+    getKeyId,
+    getStoredKeyIds,
+    deleteKeyStates,
+    listKeys,
+    hasKey,
+    setKeyEnabled,
+    retestKey,
+    isBuiltInProvider,
     getAvailableProviders,
     getProviderStats,
 };
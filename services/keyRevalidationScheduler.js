@@ -0,0 +1,103 @@
+// services/keyRevalidationScheduler.js
+// Re-tests API keys in the background on a schedule, so keys whose quota resets
+// (e.g. overnight) become active again without a manual re-check.
+
+const keyManager = require('./keyManager');
+
+/**
+ * Reads a numeric setting, keeping an explicit 0 (which the `||` idiom would replace).
+ */
+function readNumber(name, defaultValue) {
+    const value = parseFloat(process.env[name]);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+const INTERVAL_MINUTES = readNumber('KEY_REVALIDATION_INTERVAL_MINUTES', 60); // 0 turns the scheduler off
+const SAMPLE_RATE = Math.min(Math.max(readNumber('KEY_REVALIDATION_SAMPLE_RATE', 0.1), 0), 1);
+const CONCURRENCY = Math.max(readNumber('KEY_REVALIDATION_CONCURRENCY', 3), 1);
+// Each run is moved by up to this share of the interval, so instances started together don't test in lockstep.
+const JITTER = 0.1;
+
+const state = {
+    timer: null,
+    running: false,
+    nextRunAt: null,
+    lastRun: null,
+};
+
+/**
+ * Schedules the next run, INTERVAL_MINUTES from now give or take the jitter.
+ */
+function scheduleNextRun() {
+    const intervalMs = INTERVAL_MINUTES * 60 * 1000;
+    const delayMs = Math.round(intervalMs * (1 + (Math.random() * 2 - 1) * JITTER));
+    state.nextRunAt = new Date(Date.now() + delayMs);
+    state.timer = setTimeout(runNow, delayMs);
+    state.timer.unref();
+}
+
+/**
+ * Runs a re-validation pass now, unless one is already running.
+ */
+async function runNow() {
+    if (state.running) return;
+    state.running = true;
+    const startedAt = new Date();
+    try {
+        console.log('[Key Scheduler] Re-validating keys in the background...');
+        const results = await keyManager.revalidateKeys({ sampleRate: SAMPLE_RATE, concurrency: CONCURRENCY });
+        const changes = results.filter(result => result.before !== result.after);
+        state.lastRun = {
+            startedAt,
+            finishedAt: new Date(),
+            tested: results.length,
+            reactivated: changes.filter(change => change.after === 'active').length,
+            deactivated: changes.filter(change => change.before === 'active').length,
+            changes,
+        };
+        console.log(`[Key Scheduler] Tested ${results.length} key(s). ${state.lastRun.reactivated} reactivated, ${state.lastRun.deactivated} deactivated.`);
+    } catch (error) {
+        console.error('[Key Scheduler] Background re-validation failed:', error);
+        state.lastRun = { startedAt, finishedAt: new Date(), error: error.message };
+    } finally {
+        state.running = false;
+        if (state.timer) {
+            clearTimeout(state.timer);
+            scheduleNextRun();
+        }
+    }
+}
+
+/**
+ * Starts the schedule. Does nothing if KEY_REVALIDATION_INTERVAL_MINUTES is 0.
+ */
+function start() {
+    if (INTERVAL_MINUTES <= 0) {
+        console.log('[Key Scheduler] Background key re-validation is disabled.');
+        return;
+    }
+    if (state.timer) return;
+    scheduleNextRun();
+    console.log(`[Key Scheduler] Re-validating keys every ${INTERVAL_MINUTES} minute(s). Next run at ${state.nextRunAt.toISOString()}.`);
+}
+
+/**
+ * Returns the schedule and the results of the last run, for the admin dashboard.
+ */
+function getStatus() {
+    return {
+        enabled: Boolean(state.timer),
+        intervalMinutes: INTERVAL_MINUTES,
+        sampleRate: SAMPLE_RATE,
+        concurrency: CONCURRENCY,
+        running: state.running,
+        nextRunAt: state.nextRunAt,
+        lastRun: state.lastRun,
+    };
+}
+
+module.exports = {
+    start,
+    runNow,
+    getStatus,
+};
@@ -32,6 +32,37 @@ async function initialize() {
     }
 }
 
+const MAX_LOGGED_DATA_URL_LENGTH = 100;
+
+/**
+ * Returns a copy of a payload with inline image data (data URLs and base64 image sources)
+ * replaced by short references, so logs don't store megabytes of base64.
+ * @param {*} value - The payload, or any value nested inside it.
+ */
+function truncateImageData(value) {
+    if (typeof value === 'string') {
+        if (value.startsWith('data:') && value.length > MAX_LOGGED_DATA_URL_LENGTH) {
+            const header = value.slice(0, value.indexOf(',') + 1);
+            return `${header}<${value.length - header.length} chars truncated>`;
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(truncateImageData);
+    }
+    if (value && typeof value === 'object') {
+        const copy = {};
+        for (const [key, nested] of Object.entries(value)) {
+            copy[key] = truncateImageData(nested);
+        }
+        if (copy.type === 'base64' && typeof copy.data === 'string' && copy.data.length > MAX_LOGGED_DATA_URL_LENGTH) {
+            copy.data = `<${copy.data.length} chars truncated>`;
+        }
+        return copy;
+    }
+    return value;
+}
+
 /**
  * Creates an initial log entry for a new request.
  * @param {string} reqId - The unique ID of the request.
@@ -49,7 +80,7 @@ async function createLogEntry(reqId, provider, tokenName, requestPayload, charac
             request_id: reqId,
             provider,
             token_name: tokenName,
-            request_payload: requestPayload,
+            request_payload: truncateImageData(requestPayload),
             status_code: 0, // 0 for pending
             character_name: characterName,
             detected_commands: detectedCommands
@@ -64,20 +95,88 @@ async function createLogEntry(reqId, provider, tokenName, requestPayload, charac
  * @param {string} reqId - The unique ID of the request.
  * @param {number} statusCode - The final HTTP status code.
  * @param {object} responsePayload - The JSON body of the response.
+ * @param {boolean} [cacheHit] - Whether the response was served from the response cache.
  */
-async function updateLogEntry(reqId, statusCode, responsePayload) {
+async function updateLogEntry(reqId, statusCode, responsePayload, cacheHit = false) {
     if (state.mode === 'disabled') return;
 
     try {
         await pool('request_logs').where('request_id', reqId).update({
             status_code: statusCode,
-            response_payload: responsePayload
+            response_payload: responsePayload,
+            cache_hit: cacheHit
         });
     } catch (error) {
         console.error(`[Log Service] Failed to update log entry for request ${reqId}.`, error);
     }
 }
 
+/**
+ * Points a log entry at the provider that actually served the request, after a fallback.
+ * @param {string} reqId - The unique ID of the request.
+ * @param {string} provider - The fallback provider.
+ * @param {object} requestPayload - The JSON body sent to that provider.
+ */
+async function updateLogProvider(reqId, provider, requestPayload) {
+    if (state.mode === 'disabled') return;
+
+    try {
+        await pool('request_logs').where('request_id', reqId).update({
+            provider,
+            request_payload: truncateImageData(requestPayload)
+        });
+    } catch (error) {
+        console.error(`[Log Service] Failed to update the provider of log entry ${reqId}.`, error);
+    }
+}
+
+// Longest response text stored per streamed request; the rest is cut off.
+const MAX_LOGGED_STREAM_TEXT_LENGTH = parseInt(process.env.LOG_MAX_STREAM_TEXT_LENGTH, 10) || 100000;
+
+function truncateLoggedText(text) {
+    if (!text || text.length <= MAX_LOGGED_STREAM_TEXT_LENGTH) return text;
+    return `${text.slice(0, MAX_LOGGED_STREAM_TEXT_LENGTH)}\n<${text.length - MAX_LOGGED_STREAM_TEXT_LENGTH} chars truncated>`;
+}
+
+/**
+ * Updates a log entry with the outcome of a streamed response.
+ * @param {string} reqId - The unique ID of the request.
+ * @param {number} statusCode - The final HTTP status code.
+ * @param {object} result - The assembled stream.
+ * @param {string} result.status - 'completed', 'client_aborted' or 'upstream_error'.
+ * @param {string} result.text - The text sent to the client, after think-tag filtering.
+ * @param {string} result.rawText - The text generated by the provider, before filtering.
+ * @param {string|null} result.finishReason - The finish reason reported by the provider.
+ * @param {object} result.usage - The token usage of the response.
+ */
+async function updateStreamLogEntry(reqId, statusCode, { status, text, rawText, finishReason, usage, ...extra }) {
+    await updateLogEntry(reqId, statusCode, {
+        stream: true,
+        status,
+        finish_reason: finishReason,
+        usage,
+        content: truncateLoggedText(text),
+        // Only stored separately when filtering actually removed something.
+        raw_content: rawText !== text ? truncateLoggedText(rawText) : undefined,
+        ...extra,
+    });
+}
+
+/**
+ * Records every upstream attempt (key, status, error) made for a request.
+ * @param {string} reqId - The unique ID of the request.
+ * @param {Array<object>} attempts - The attempts, in order.
+ */
+async function updateLogAttempts(reqId, attempts) {
+    if (state.mode === 'disabled') return;
+
+    try {
+        await pool('request_logs').where('request_id', reqId).update({ attempts: JSON.stringify(attempts) });
+    } catch (error) {
+        console.error(`[Log Service] Failed to record attempts for request ${reqId}.`, error);
+    }
+}
+
 /**
  * Fetches logs from the database with pagination.
  * @param {number} page - The page number to fetch.
@@ -86,7 +185,7 @@ async function updateLogEntry(reqId, statusCode, responsePayload) {
 async function getLogs(page = 1, limit = 20) {
     const offset = (page - 1) * limit;
     const logs = await pool('request_logs')
-        .select('id', 'request_id', 'provider', 'token_name', 'status_code', 'created_at', 'character_name', 'detected_commands')
+        .select('id', 'request_id', 'provider', 'token_name', 'status_code', 'created_at', 'character_name', 'detected_commands', 'cache_hit')
         .orderBy('created_at', 'desc')
         .limit(limit)
         .offset(offset);
@@ -203,6 +302,9 @@ module.exports = {
     initialize,
     createLogEntry,
     updateLogEntry,
+    updateLogProvider,
+    updateStreamLogEntry,
+    updateLogAttempts,
     getLogs,
     getLogDetails,
     deleteLog,
@@ -10,17 +10,37 @@ class UserInputError extends Error {
   }
 }
 
+/**
+ * Returns the text of a message's content. Multimodal content (an array of parts)
+ * contributes only its text parts, so image parts never reach regex parsing.
+ * @param {string|Array<object>} content - The message content.
+ * @returns {string}
+ */
+function getMessageText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+    .map(part => part.text)
+    .join('\n');
+}
+
 function parseJanitorInput(incomingMessages) {
   let userInfo = '';
   let customPromptInfo = ''; 
   let unparsedText = '';
   let characterName = 'Character';
+  let setupImageParts = [];
 
   if (!incomingMessages || incomingMessages.length === 0) {
-    return { userInfo, customPromptInfo, unparsedText, characterName, chatHistory: [] };
+    return { userInfo, customPromptInfo, unparsedText, characterName, setupImageParts, chatHistory: [] };
   }
 
-  const setupMessageContent = incomingMessages[0].content || '';
+  const setupMessageContent = getMessageText(incomingMessages[0].content);
+  // Images attached to the setup message travel with the unparsed text.
+  if (Array.isArray(incomingMessages[0].content)) {
+    setupImageParts = incomingMessages[0].content.filter(part => part && part.type === 'image_url');
+  }
   let remainingText = setupMessageContent;
 
   const userRegex = /<UserPersona>([\s\S]*?)<\/UserPersona>/;
@@ -46,19 +66,19 @@ function parseJanitorInput(incomingMessages) {
   unparsedText = remainingText.trim();
 
   const chatHistory = incomingMessages.slice(1).map(m => {
-      if (m.role === 'assistant' && m.content && m.content.includes('<w>')) {
+      if (m.role === 'assistant' && typeof m.content === 'string' && m.content.includes('<w>')) {
           console.log('[History Cleaning] Found <w> tag in assistant message. Cleaning for next prompt.');
           return { ...m, content: m.content.split('<w>').pop().trim() };
       }
       return m;
   });
 
-  return { userInfo, customPromptInfo, unparsedText, characterName, chatHistory };
+  return { userInfo, customPromptInfo, unparsedText, characterName, setupImageParts, chatHistory };
 }
 
 function parseCommandsFromMessages(messages) {
     if (!messages || messages.length === 0) return [];
-    const fullText = messages.map(m => m.content || '').join(' ');
+    const fullText = messages.map(m => getMessageText(m.content)).join(' ');
     const commandRegex = /<([A-Z0-9_]+)>/g;
     const matches = [...fullText.matchAll(commandRegex)];
     return [...new Set(matches.map(match => match[1].toUpperCase()))];
@@ -116,7 +136,7 @@ async function buildFinalMessages(provider, incomingMessages, reqId) {
     
     console.log(`[${reqId}] Processing request with global structure for provider: ${provider}`);
 
-    const { characterName, userInfo, customPromptInfo, unparsedText, chatHistory } = parseJanitorInput(incomingMessages);
+    const { characterName, userInfo, customPromptInfo, unparsedText, setupImageParts, chatHistory } = parseJanitorInput(incomingMessages);
 
     const prefillCommands = commandDefinitions.filter(cmd => cmd.command_type === 'Prefill');
     if (prefillCommands.length > 1) {
@@ -141,9 +161,12 @@ async function buildFinalMessages(provider, incomingMessages, reqId) {
 
     for (const block of structureToUse) {
         if (block.block_type === 'Unparsed Text Injection') {
-            if (unparsedText) {
+            if (unparsedText || setupImageParts.length > 0) {
                 console.log(`[${reqId}] Injecting unparsed text into a '${block.role}' role block.`);
-                finalMessages.push({ role: block.role, content: unparsedText });
+                const content = setupImageParts.length > 0
+                    ? [...(unparsedText ? [{ type: 'text', text: unparsedText }] : []), ...setupImageParts]
+                    : unparsedText;
+                finalMessages.push({ role: block.role, content });
             }
             continue;
         }
@@ -276,7 +299,7 @@ function detectRequestType(messages) {
 
     // A summarizer request is typically the last message from the user
     const lastMessage = messages[messages.length - 1];
-    if (lastMessage && lastMessage.role === 'user' && SUMMARIZER_TRIGGER_REGEX.test(lastMessage.content)) {
+    if (lastMessage && lastMessage.role === 'user' && SUMMARIZER_TRIGGER_REGEX.test(getMessageText(lastMessage.content))) {
         return { requestType: 'summarize', triggerMessage: lastMessage };
     }
     
@@ -326,13 +349,13 @@ async function setSummarizerStructure(provider, blocks) {
 async function buildSummarizerMessages(provider, incomingMessages, triggerMessage, reqId) {
     // 1. Get the custom summary instructions from the <summary> tag
     const summaryRegex = /<summary>([\s\S]*?)<\/summary>/;
-    const summaryMatch = triggerMessage.content.match(summaryRegex);
+    const summaryMatch = getMessageText(triggerMessage.content).match(summaryRegex);
     const summaryInfo = summaryMatch ? summaryMatch[1].trim() : '';
 
     // 2. The chat history is all messages *except* the trigger message
     const chatHistoryToSummarize = incomingMessages.filter(msg => msg !== triggerMessage);
     const formattedHistory = chatHistoryToSummarize
-        .map(msg => `${msg.role.charAt(0).toUpperCase() + msg.role.slice(1)}: ${msg.content}`)
+        .map(msg => `${msg.role.charAt(0).toUpperCase() + msg.role.slice(1)}: ${getMessageText(msg.content)}`)
         .join('\n');
 
     // 3. Get the summarizer structure from the DB
@@ -372,6 +395,7 @@ module.exports = {
     saveCommand,
     deleteCommand,
     UserInputError,
+    getMessageText,
     // --- NEWLY EXPORTED ---
     detectRequestType,
     buildSummarizerMessages,
@@ -0,0 +1,55 @@
+// services/providerKeyManager.js
+// Manages database interactions for the keys of built-in providers that are added
+// in the admin panel (keys from .env are read by keyManager directly).
+// Keys are stored encrypted and looked up by their ID, so they are never decrypted here.
+
+const pool = require('../config/db');
+const keyManager = require('./keyManager');
+const keyEncryption = require('./keyEncryption');
+
+/**
+ * Adds keys to a built-in provider.
+ * After saving, it triggers the keyManager to re-initialize and tests the new keys.
+ * @param {string} provider - The built-in provider, e.g. 'gemini'.
+ * @param {string[]} keys - The keys to add. Keys the provider already has are skipped.
+ * @returns {Promise<number>} How many keys were added.
+ */
+async function add(provider, keys) {
+    const existing = await pool('provider_keys').where('provider_id', provider).select('key_id');
+    const known = new Set(existing.map(row => row.key_id));
+    const newKeys = [...new Set(keys)].filter(key => !known.has(keyManager.getKeyId(key)) && !keyManager.hasKey(provider, key));
+
+    if (newKeys.length > 0) {
+        await pool('provider_keys').insert(newKeys.map(key => ({
+            provider_id: provider,
+            key_id: keyManager.getKeyId(key),
+            key_value: keyEncryption.encrypt(key),
+        })));
+    }
+
+    await keyManager.initialize();
+    await keyManager.checkAllKeys({ onlyUnchecked: true });
+    return newKeys.length;
+}
+
+/**
+ * Removes a key that was added in the admin panel, along with its saved status.
+ * After deleting, it triggers the keyManager to re-initialize.
+ * @param {string} provider - The built-in provider, e.g. 'gemini'.
+ * @param {string} keyId - The key's ID (see keyManager.getKeyId).
+ * @returns {Promise<boolean>} Whether the key was found and removed.
+ */
+async function remove(provider, keyId) {
+    const deleted = await pool('provider_keys').where({ provider_id: provider, key_id: keyId }).del();
+    if (!deleted) return false;
+
+    await keyManager.deleteKeyStates(provider, [keyId]);
+    // Re-initialize to remove the key from memory
+    await keyManager.initialize();
+    return true;
+}
+
+module.exports = {
+    add,
+    remove,
+};
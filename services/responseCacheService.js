@@ -0,0 +1,55 @@
+// services/responseCacheService.js
+// Caches complete responses to non-streaming requests, for providers that opt in.
+// Identical requests (summarizer calls, client retries) are then answered from memory.
+
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+const TTL_SECONDS = parseInt(process.env.RESPONSE_CACHE_TTL_SECONDS, 10) || 300;
+const MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_MAX_ENTRIES, 10) || 500;
+
+// useClones is off: cached responses are never mutated after being stored.
+const cache = new NodeCache({ stdTTL: TTL_SECONDS, checkperiod: 60, useClones: false });
+
+/**
+ * Builds the cache key for a request: a hash of everything that decides the response.
+ * @param {object} request
+ * @param {string} request.provider - The provider serving the request.
+ * @param {string} request.responseFormat - The API format the client gets the response in.
+ * @param {object} request.config - The provider settings that shape the upstream body or the response (e.g. its model, reasoning handling).
+ * @param {object} request.body - The request body after the prompt pipeline (model, messages, sampling params).
+ * @returns {string}
+ */
+function createKey({ provider, responseFormat, config, body }) {
+    const hash = crypto.createHash('sha256');
+    hash.update(JSON.stringify({ provider, responseFormat, config, body }));
+    return hash.digest('hex');
+}
+
+/**
+ * Returns a cached response, if there is one.
+ * @param {string} key - The key from createKey().
+ * @returns {{status: number, body: object}|undefined}
+ */
+function get(key) {
+    return cache.get(key);
+}
+
+/**
+ * Stores a response. When the cache is full, the oldest entry makes room for it.
+ * @param {string} key - The key from createKey().
+ * @param {{status: number, body: object}} response - The status and body sent to the client.
+ */
+function set(key, response) {
+    const keys = cache.keys();
+    if (keys.length >= MAX_ENTRIES && !cache.has(key)) {
+        cache.del(keys[0]);
+    }
+    cache.set(key, response);
+}
+
+module.exports = {
+    createKey,
+    get,
+    set,
+};
@@ -0,0 +1,95 @@
+// services/sseDecoder.js
+// Decodes Server-Sent Events from upstream provider streams. Network chunks can
+// end anywhere (mid-line, mid-event, even mid-character), so the decoder keeps
+// whatever is incomplete and only hands out whole events.
+
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * A stateful, line-buffered SSE decoder.
+ * Feed it raw chunks with push() and it returns every event completed so far.
+ */
+class SSEDecoder {
+    constructor() {
+        // Keeps multibyte UTF-8 characters that are split across chunks intact.
+        this.textDecoder = new StringDecoder('utf8');
+        this.buffer = '';
+        this.resetEvent();
+    }
+
+    resetEvent() {
+        this.eventType = null;
+        this.dataLines = [];
+    }
+
+    /**
+     * Decodes the next chunk of the stream.
+     * @param {Buffer|string} chunk A raw chunk from the upstream response.
+     * @returns {Array<{event: string|null, data: string}>} The events completed by this chunk.
+     */
+    push(chunk) {
+        this.buffer += typeof chunk === 'string' ? chunk : this.textDecoder.write(chunk);
+        const events = [];
+
+        // Lines may end in \n, \r\n or \r. A trailing \r is held back in case its \n is in the next chunk.
+        let match;
+        const lineBreak = /\r\n|\r(?!$)|\n/g;
+        let lineStart = 0;
+        while ((match = lineBreak.exec(this.buffer)) !== null) {
+            const event = this.processLine(this.buffer.slice(lineStart, match.index));
+            if (event) events.push(event);
+            lineStart = lineBreak.lastIndex;
+        }
+        this.buffer = this.buffer.slice(lineStart);
+
+        return events;
+    }
+
+    /**
+     * Flushes the decoder once the stream has ended.
+     * @returns {Array<{event: string|null, data: string}>} The last event, if the stream ended without a blank line.
+     */
+    flush() {
+        this.buffer += this.textDecoder.end();
+        const events = [];
+        if (this.buffer) {
+            const event = this.processLine(this.buffer.replace(/\r$/, ''));
+            if (event) events.push(event);
+            this.buffer = '';
+        }
+        const event = this.dispatchEvent();
+        if (event) events.push(event);
+        return events;
+    }
+
+    /**
+     * Applies a single line to the event being built.
+     * @returns {object|null} The completed event when the line is blank.
+     */
+    processLine(line) {
+        if (line === '') return this.dispatchEvent();
+        if (line.startsWith(':')) return null; // Comment, e.g. OpenRouter's ": OPENROUTER PROCESSING"
+
+        const colonIndex = line.indexOf(':');
+        const field = colonIndex === -1 ? line : line.slice(0, colonIndex);
+        let value = colonIndex === -1 ? '' : line.slice(colonIndex + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        if (field === 'data') this.dataLines.push(value);
+        else if (field === 'event') this.eventType = value;
+        // Other fields (id, retry) are not needed for proxying.
+        return null;
+    }
+
+    dispatchEvent() {
+        if (this.dataLines.length === 0) {
+            this.resetEvent();
+            return null;
+        }
+        const event = { event: this.eventType, data: this.dataLines.join('\n') };
+        this.resetEvent();
+        return event;
+    }
+}
+
+module.exports = { SSEDecoder };
@@ -5,6 +5,7 @@ const stats = {
     promptCount: 0,
     totalInputTokens: 0,
     totalOutputTokens: 0,
+    cacheHits: 0,
 };
 
 /**
@@ -24,6 +25,23 @@ function addTokens(inputTokens = 0, outputTokens = 0) {
     stats.totalOutputTokens += outputTokens;
 }
 
+/**
+ * Increments the number of requests answered from the response cache.
+ */
+function incrementCacheHits() {
+    stats.cacheHits++;
+}
+
+/**
+ * Roughly estimates the token count of a text (about 4 characters per token).
+ * Used when a provider does not report usage for a response.
+ * @param {string} text - The text to estimate.
+ * @returns {number} The estimated number of tokens.
+ */
+function estimateTokens(text) {
+    return text ? Math.ceil(text.length / 4) : 0;
+}
+
 /**
  * Returns the current statistics.
  * @returns {object} The stats object.
@@ -35,5 +53,7 @@ function getStats() {
 module.exports = {
     incrementPromptCount,
     addTokens,
+    incrementCacheHits,
+    estimateTokens,
     getStats,
 };
\ No newline at end of file
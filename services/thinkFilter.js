@@ -2,27 +2,100 @@
 // Provides utilities to filter <think> tags from AI responses,
 // both for complete text and for streaming data.
 
+// The reasoning tag pairs recognized when a provider doesn't configure its own.
+const DEFAULT_REASONING_TAGS = [{ open: '<think>', close: '</think>' }];
+
+/**
+ * Parses a provider's reasoning tag setting, written as comma-separated
+ * `open|close` pairs, e.g. "<thinking>|</thinking>, ◁think▷|◁/think▷".
+ * @param {string} value The setting from the admin panel or .env.
+ * @returns {Array<{open: string, close: string}>|null} The tag pairs, or null if none are configured.
+ */
+function parseReasoningTags(value) {
+    const tags = (value || '').split(',')
+        .map(pair => pair.split('|').map(tag => tag.trim()))
+        .filter(([open, close]) => open && close)
+        .map(([open, close]) => ({ open, close }));
+    return tags.length > 0 ? tags : null;
+}
+
+/**
+ * Finds the earliest occurrence of any of the given tags.
+ * @returns {{index: number, tag: string}|null}
+ */
+function findFirstTag(text, tags) {
+    let first = null;
+    for (const tag of tags) {
+        const index = text.indexOf(tag);
+        if (index !== -1 && (!first || index < first.index || (index === first.index && tag.length > first.tag.length))) {
+            first = { index, tag };
+        }
+    }
+    return first;
+}
+
+/**
+ * Returns the length of the longest suffix of the text that could be the start of one of the tags.
+ */
+function partialTagLength(text, tags) {
+    let longest = 0;
+    for (const tag of tags) {
+        for (let length = Math.min(tag.length - 1, text.length); length > longest; length--) {
+            if (text.endsWith(tag.substring(0, length))) {
+                longest = length;
+                break;
+            }
+        }
+    }
+    return longest;
+}
+
 /**
- * Removes <think> tags and their content from a complete block of text.
+ * Separates think blocks from the rest of a complete block of text.
  * @param {string} text The full text from the AI response.
- * @returns {string} The text with all <think> blocks removed.
+ * @param {object} [options] See ThinkTagStreamProcessor.
+ * @returns {{content: string, reasoning: string}} The text without think blocks, and the text that was inside them.
  */
-function filterThinkTags(text) {
+function splitThinkTags(text, options) {
     if (!text || typeof text !== 'string') {
-        return text;
+        return { content: text, reasoning: '' };
     }
-    // Use a non-greedy regex to remove all occurrences of <think>...</think>
-    return text.replace(/<think>[\s\S]*?<\/think>/g, '');
+    const processor = new ThinkTagStreamProcessor(options);
+    const body = processor.split(text);
+    const rest = processor.flush();
+    return { content: body.content + rest.content, reasoning: body.reasoning + rest.reasoning };
 }
 
 /**
- * A stateful processor for filtering <think> tags from a stream of text chunks.
- * This version correctly buffers and discards content between the tags.
+ * Removes think tags and their content from a complete block of text.
+ * @param {string} text The full text from the AI response.
+ * @param {object} [options] See ThinkTagStreamProcessor.
+ * @returns {string} The text with all think blocks removed.
+ */
+function filterThinkTags(text, options) {
+    return splitThinkTags(text, options).content;
+}
+
+/**
+ * A stateful processor for filtering think tags from a stream of text chunks.
+ * Content between the tags is set aside, and text that could be the beginning of a
+ * tag split across chunks (e.g. `<thi` + `nk>`) is held back until the next chunk.
  */
 class ThinkTagStreamProcessor {
-    constructor() {
+    /**
+     * @param {object} [options]
+     * @param {Array<{open: string, close: string}>} [options.tags] The reasoning tag pairs to recognize.
+     * @param {boolean} [options.closingTagOnly] For models that start reasoning right away and only emit
+     *   the closing tag. Text before the first closing tag is held back, and counts as reasoning only once
+     *   that tag shows up; if it never does, the text is released as normal content at the end.
+     */
+    constructor(options = {}) {
+        this.tags = options.tags || DEFAULT_REASONING_TAGS;
         this.buffer = '';
-        this.isInsideThinkBlock = false;
+        this.activeTag = null; // The tag pair of the block we're inside, or null for any closing tag.
+        this.isInsideThinkBlock = Boolean(options.closingTagOnly);
+        this.isImplicitBlock = Boolean(options.closingTagOnly);
+        this.implicitReasoning = '';
     }
 
     /**
@@ -31,51 +104,96 @@ class ThinkTagStreamProcessor {
      * @returns {string} The filtered text chunk to be sent to the user.
      */
     process(chunk) {
+        return this.split(chunk).content;
+    }
+
+    /**
+     * Processes an incoming chunk of text, keeping the content of think blocks apart
+     * instead of discarding it.
+     * @param {string} chunk The incoming text chunk from the stream.
+     * @returns {{content: string, reasoning: string}} The text outside and inside think blocks.
+     */
+    split(chunk) {
         this.buffer += chunk;
         let output = '';
+        let reasoning = '';
 
         // Use a loop to handle multiple tags within the same buffered chunk
         // eslint-disable-next-line no-constant-condition
         while (true) {
             if (this.isInsideThinkBlock) {
-                const endTagIndex = this.buffer.indexOf('</think>');
-                if (endTagIndex !== -1) {
+                const closeTags = this.activeTag ? [this.activeTag.close] : this.tags.map(tag => tag.close);
+                const endTag = findFirstTag(this.buffer, closeTags);
+                if (endTag) {
                     // We found the end of a think block.
+                    reasoning += this.implicitReasoning + this.buffer.substring(0, endTag.index);
+                    this.implicitReasoning = '';
+                    this.isImplicitBlock = false;
                     this.isInsideThinkBlock = false;
+                    this.activeTag = null;
                     // Cut the buffer to start right after the closing tag.
-                    this.buffer = this.buffer.substring(endTagIndex + '</think>'.length);
+                    this.buffer = this.buffer.substring(endTag.index + endTag.tag.length);
                     // Continue the loop to process the rest of the buffer, which is now considered outside a think block.
                 } else {
-                    // The end tag is not in the current buffer.
-                    // This means the entire buffer is part of the think block.
-                    // We discard it and wait for the next chunk which might contain the end tag.
-                    this.buffer = '';
-                    break; // Exit the loop, nothing to output from this chunk.
+                    // The end tag is not in the current buffer, so everything is part of the think block,
+                    // except for a suffix that might turn out to be the start of the end tag.
+                    const settledLength = this.buffer.length - partialTagLength(this.buffer, closeTags);
+                    if (this.isImplicitBlock) {
+                        this.implicitReasoning += this.buffer.substring(0, settledLength);
+                    } else {
+                        reasoning += this.buffer.substring(0, settledLength);
+                    }
+                    this.buffer = this.buffer.substring(settledLength);
+                    break; // Wait for the next chunk which might contain the end tag.
                 }
             } else { // We are outside a think block
-                const startTagIndex = this.buffer.indexOf('<think>');
-                if (startTagIndex !== -1) {
+                const openTags = this.tags.map(tag => tag.open);
+                const startTag = findFirstTag(this.buffer, openTags);
+                if (startTag) {
                     // A think block starts in the current buffer.
                     // Output everything before the tag.
-                    output += this.buffer.substring(0, startTagIndex);
+                    output += this.buffer.substring(0, startTag.index);
                     this.isInsideThinkBlock = true;
+                    this.activeTag = this.tags.find(tag => tag.open === startTag.tag);
                     // Cut the buffer to start right after the opening tag.
-                    this.buffer = this.buffer.substring(startTagIndex + '<think>'.length);
+                    this.buffer = this.buffer.substring(startTag.index + startTag.tag.length);
                     // Continue the loop to see if the end tag is also in the remaining buffer.
                 } else {
-                    // No think block starts in the buffer.
-                    // The entire buffer is safe to output.
-                    output += this.buffer;
-                    this.buffer = '';
+                    // No think block starts in the buffer, so it is safe to output,
+                    // except for a suffix that might turn out to be the start of an opening tag.
+                    const settledLength = this.buffer.length - partialTagLength(this.buffer, openTags);
+                    output += this.buffer.substring(0, settledLength);
+                    this.buffer = this.buffer.substring(settledLength);
                     break; // Exit the loop, we've processed the whole buffer.
                 }
             }
         }
-        return output;
+        return { content: output, reasoning };
+    }
+
+    /**
+     * Releases everything still held back, once the stream has ended.
+     * @returns {{content: string, reasoning: string}} The remaining text outside and inside think blocks.
+     */
+    flush() {
+        const rest = this.buffer;
+        this.buffer = '';
+        if (this.isImplicitBlock) {
+            // The closing tag never came, so this was never reasoning.
+            const content = this.implicitReasoning + rest;
+            this.implicitReasoning = '';
+            this.isImplicitBlock = false;
+            this.isInsideThinkBlock = false;
+            return { content, reasoning: '' };
+        }
+        // An unterminated think block (e.g. cut off by max_tokens) is still reasoning.
+        return this.isInsideThinkBlock ? { content: '', reasoning: rest } : { content: rest, reasoning: '' };
     }
 }
 
 module.exports = {
+    parseReasoningTags,
     filterThinkTags,
+    splitThinkTags,
     ThinkTagStreamProcessor,
-};
\ No newline at end of file
+};
@@ -84,7 +84,8 @@ async function verifyAndRateLimit(tokenValue) {
     recentRequests.push(now);
     state.requests.set(tokenValue, recentRequests);
 
-    return { success: true, tokenData: { name: tokenData.name } };
+    // The ID lets the 'sticky' key selection strategy keep a user on the same key.
+    return { success: true, tokenData: { id: tokenData.id, name: tokenData.name } };
 }
 
 /**
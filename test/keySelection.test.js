@@ -0,0 +1,189 @@
+// test/keySelection.test.js
+// Tests for key selection as seen by real requests: user tokens go through the security
+// middleware and the proxy, against an in-memory database and a fake upstream.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+process.env.SECURITY = 'token';
+
+const tables = {
+    user_tokens: [
+        { id: 1, name: 'alice', token: 'token-alice', rpm: 1000, is_enabled: true, expires_at: null },
+    ],
+    custom_providers: [],
+    key_selection_settings: [],
+    key_status: [],
+    provider_keys: [],
+};
+
+/**
+ * A minimal stand-in for the knex query builder, covering what the services use.
+ */
+function query(table, filters = []) {
+    const rows = () => (tables[table] || []).filter(row => filters.every(filter => filter(row)));
+    const builder = {
+        then: (resolve, reject) => Promise.resolve(rows()).then(resolve, reject),
+        where: (column, value) => query(table, filters.concat(typeof column === 'object'
+            ? row => Object.entries(column).every(([name, expected]) => row[name] === expected)
+            : row => row[column] === value)),
+        whereIn: (column, values) => query(table, filters.concat(row => values.includes(row[column]))),
+        orderBy: () => builder,
+        select: () => builder,
+        first: async () => rows()[0],
+        update: async values => rows().forEach(row => Object.assign(row, values)),
+        del: async () => {
+            const deleted = rows();
+            tables[table] = tables[table].filter(row => !deleted.includes(row));
+            return deleted.length;
+        },
+        insert: values => {
+            const insert = async () => { tables[table] = (tables[table] || []).concat(values); };
+            return { onConflict: () => ({ merge: async () => {} }), then: (resolve, reject) => insert().then(resolve, reject) };
+        },
+    };
+    return builder;
+}
+const dbPath = path.join(__dirname, '..', 'config', 'db.js');
+require.cache[dbPath] = { id: dbPath, filename: dbPath, loaded: true, exports: Object.assign(query, { fn: { now: () => new Date() } }) };
+
+const axios = require('axios');
+const express = require('express');
+const keyManager = require('../services/keyManager');
+const tokenManager = require('../services/tokenManager');
+const promptService = require('../services/promptService');
+const proxyController = require('../controllers/proxyController');
+const { securityMiddleware } = require('../middleware/security');
+
+const PROVIDER_KEYS = ['sk-key-1', 'sk-key-2', 'sk-key-3', 'sk-key-4', 'sk-key-5'];
+
+// The prompt pipeline is not under test here.
+promptService.buildFinalMessages = async (provider, messages) => ({ finalMessages: messages, characterName: 'Test', commandTags: [] });
+
+let server;
+let baseUrl;
+// The key each upstream request was sent with, in order.
+let usedKeys = [];
+// While set, upstream requests wait for this promise, so they stay in flight.
+let upstreamGate = null;
+
+test.before(async () => {
+    // tokenManager starts a cleanup interval that would keep the test process alive.
+    test.mock.timers.enable({ apis: ['setInterval'] });
+    await tokenManager.initialize();
+    test.mock.timers.reset();
+
+    axios.post = async (url, body, options) => {
+        usedKeys.push(options.headers.Authorization.replace('Bearer ', ''));
+        await upstreamGate;
+        return { status: 200, data: { choices: [{ index: 0, message: { role: 'assistant', content: 'ok' }, finish_reason: 'stop' }], usage: { prompt_tokens: 1, completion_tokens: 1 } } };
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.post('/:providerId/v1/chat/completions', securityMiddleware, (req, res) => proxyController.proxyRequest(req, res, req.params.providerId));
+    app.get('/:providerId/v1/models', securityMiddleware, (req, res) => proxyController.listModels(req, res, req.params.providerId));
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => server.close());
+
+/**
+ * Replaces the custom providers with one OpenAI-compatible provider whose keys are all active.
+ */
+async function setUpProvider(strategy, settings = {}, weights = {}) {
+    tables.custom_providers = [{
+        id: 1, provider_id: 'test', provider_type: 'openai', display_name: 'Test', api_base_url: 'http://upstream.test',
+        api_keys: PROVIDER_KEYS.join(','), model_id: 'test-model', is_enabled: true, ...settings,
+    }];
+    tables.key_selection_settings = [{ provider_id: 'test', strategy, key_weights: JSON.stringify(weights) }];
+    tables.key_status = PROVIDER_KEYS.map(key => ({ provider_id: 'test', key_id: keyManager.getKeyId(key), status: 'active' }));
+    await keyManager.initialize();
+    usedKeys = [];
+}
+
+/**
+ * Waits until the given number of requests have reached the upstream.
+ */
+async function waitForUpstreamRequests(count) {
+    while (usedKeys.length < count) await new Promise(resolve => setTimeout(resolve, 5));
+}
+
+async function sendRequest(userToken) {
+    const response = await fetch(`${baseUrl}/test/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${userToken}` },
+        body: JSON.stringify({ model: 'test-model', messages: [{ role: 'user', content: 'Hello' }] }),
+    });
+    assert.strictEqual(response.status, 200);
+    await response.text();
+}
+
+test('sticky: requests with the same user token land on the same key', async () => {
+    await setUpProvider('sticky');
+    for (let i = 0; i < 4; i++) await sendRequest('token-alice');
+    assert.strictEqual(usedKeys.length, 4);
+    assert.strictEqual(new Set(usedKeys).size, 1);
+});
+
+test('round robin: the same user token is spread over the keys', async () => {
+    await setUpProvider('round_robin');
+    for (let i = 0; i < 4; i++) await sendRequest('token-alice');
+    assert.strictEqual(new Set(usedKeys).size, 4);
+});
+
+test('per-key limit: busy keys are skipped, even when the strategy prefers them', async () => {
+    // Nearly all of the weight is on the first key.
+    await setUpProvider('weighted', { max_concurrency_per_key: 1 }, { [keyManager.getKeyId(PROVIDER_KEYS[0])]: 100 });
+    let openGate;
+    upstreamGate = new Promise(resolve => { openGate = resolve; });
+
+    const requests = [];
+    for (let i = 0; i < 3; i++) {
+        requests.push(sendRequest('token-alice'));
+        await waitForUpstreamRequests(i + 1);
+    }
+    openGate();
+    upstreamGate = null;
+    await Promise.all(requests);
+
+    assert.strictEqual(usedKeys[0], PROVIDER_KEYS[0]);
+    assert.strictEqual(new Set(usedKeys).size, 3);
+});
+
+test('per-key limit with sticky: a busy sticky key is waited for, not swapped', async () => {
+    await setUpProvider('sticky', { max_concurrency_per_key: 1 });
+    let openGate;
+    upstreamGate = new Promise(resolve => { openGate = resolve; });
+
+    const requests = [sendRequest('token-alice')];
+    await waitForUpstreamRequests(1);
+    // Both wait in the queue for the user's key while the first request holds it.
+    requests.push(sendRequest('token-alice'), sendRequest('token-alice'));
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const reachedUpstream = usedKeys.length;
+    openGate();
+    upstreamGate = null;
+    await Promise.all(requests);
+
+    assert.strictEqual(reachedUpstream, 1);
+    assert.strictEqual(usedKeys.length, 3);
+    assert.strictEqual(new Set(usedKeys).size, 1);
+});
+
+test('listing models does not move the key rotation along', async () => {
+    await setUpProvider('round_robin');
+    process.env.FETCH_UPSTREAM_MODELS = 'true';
+    axios.get = async () => ({ status: 200, data: { data: [{ id: 'other-model' }] } });
+
+    await sendRequest('token-alice');
+    const response = await fetch(`${baseUrl}/test/v1/models`, { headers: { Authorization: 'Bearer token-alice' } });
+    const models = await response.json();
+    await sendRequest('token-alice');
+    delete process.env.FETCH_UPSTREAM_MODELS;
+
+    assert.deepStrictEqual(models.data.map(model => model.id), ['test-model', 'other-model']);
+    assert.deepStrictEqual(usedKeys, PROVIDER_KEYS.slice(0, 2));
+});
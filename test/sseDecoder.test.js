@@ -0,0 +1,87 @@
+// test/sseDecoder.test.js
+// Tests for the SSE decoder, with events split across chunks in every way the network can.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SSEDecoder } = require('../services/sseDecoder');
+
+/**
+ * Feeds the chunks to a new decoder and collects every event, including the ones flushed at the end.
+ */
+function decodeAll(chunks) {
+    const decoder = new SSEDecoder();
+    const events = chunks.flatMap(chunk => decoder.push(chunk));
+    return events.concat(decoder.flush());
+}
+
+test('decodes an event split mid-line across chunks', () => {
+    const events = decodeAll(['data: {"te', 'xt":"hi"}\n', '\n']);
+    assert.deepStrictEqual(events, [{ event: null, data: '{"text":"hi"}' }]);
+});
+
+test('does not dispatch an event before its blank line arrives', () => {
+    const decoder = new SSEDecoder();
+    assert.deepStrictEqual(decoder.push('data: one\n'), []);
+    assert.deepStrictEqual(decoder.push('\n'), [{ event: null, data: 'one' }]);
+});
+
+test('handles a CRLF split across chunks', () => {
+    const decoder = new SSEDecoder();
+    // The trailing \r is held back, so it is not taken for a line break of its own.
+    assert.deepStrictEqual(decoder.push('data: one\r'), []);
+    assert.deepStrictEqual(decoder.push('\n\r'), []);
+    assert.deepStrictEqual(decoder.push('\ndata: two\r\n\r\n'), [
+        { event: null, data: 'one' },
+        { event: null, data: 'two' },
+    ]);
+});
+
+test('accepts lone \\r and \\n line endings', () => {
+    assert.deepStrictEqual(decodeAll(['data: a\r\rdata: b\n\n']), [
+        { event: null, data: 'a' },
+        { event: null, data: 'b' },
+    ]);
+});
+
+test('keeps a multibyte UTF-8 character split across chunks intact', () => {
+    const bytes = Buffer.from('data: héllo 😀\n\n', 'utf8');
+    const emojiStart = bytes.indexOf(0xf0);
+    const chunks = [bytes.subarray(0, 8), bytes.subarray(8, emojiStart + 2), bytes.subarray(emojiStart + 2)];
+    assert.deepStrictEqual(decodeAll(chunks), [{ event: null, data: 'héllo 😀' }]);
+});
+
+test('joins multi-line data with newlines', () => {
+    const events = decodeAll(['data: first\ndata: second\n', 'data:third\n\n']);
+    assert.deepStrictEqual(events, [{ event: null, data: 'first\nsecond\nthird' }]);
+});
+
+test('reads event lines, and resets the event type after each event', () => {
+    const events = decodeAll(['event: message_start\ndata: {}\n\n', 'data: plain\n\n']);
+    assert.deepStrictEqual(events, [
+        { event: 'message_start', data: '{}' },
+        { event: null, data: 'plain' },
+    ]);
+});
+
+test('ignores comment lines and other fields', () => {
+    const events = decodeAll([': OPENROUTER PROCESSING\n\n', 'id: 7\nretry: 100\n: keep-alive\ndata: x\n\n']);
+    assert.deepStrictEqual(events, [{ event: null, data: 'x' }]);
+});
+
+test('flush() returns the last event when the stream ends without a blank line', () => {
+    const decoder = new SSEDecoder();
+    assert.deepStrictEqual(decoder.push('data: [DONE]'), []);
+    assert.deepStrictEqual(decoder.flush(), [{ event: null, data: '[DONE]' }]);
+});
+
+test('flush() handles a last line ending in a held-back \\r', () => {
+    const decoder = new SSEDecoder();
+    assert.deepStrictEqual(decoder.push('data: end\r'), []);
+    assert.deepStrictEqual(decoder.flush(), [{ event: null, data: 'end' }]);
+});
+
+test('flush() returns nothing when every event was already dispatched', () => {
+    const decoder = new SSEDecoder();
+    decoder.push('data: a\n\n');
+    assert.deepStrictEqual(decoder.flush(), []);
+});
@@ -0,0 +1,75 @@
+// test/thinkFilter.test.js
+// Tests for the think filter, including tags split across stream chunks.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ThinkTagStreamProcessor, splitThinkTags, filterThinkTags, parseReasoningTags } = require('../services/thinkFilter');
+
+/**
+ * Streams the chunks through a new processor and joins what it returns, including the flush.
+ */
+function streamAll(chunks, options) {
+    const processor = new ThinkTagStreamProcessor(options);
+    let content = '';
+    let reasoning = '';
+    for (const chunk of chunks.concat(null)) {
+        const part = chunk === null ? processor.flush() : processor.split(chunk);
+        content += part.content;
+        reasoning += part.reasoning;
+    }
+    return { content, reasoning };
+}
+
+test('filters a complete think block', () => {
+    assert.strictEqual(filterThinkTags('<think>plan</think>Answer'), 'Answer');
+    assert.deepStrictEqual(splitThinkTags('A<think>plan</think>B'), { content: 'AB', reasoning: 'plan' });
+});
+
+test('holds back a partial opening tag until the next chunk', () => {
+    const processor = new ThinkTagStreamProcessor();
+    assert.deepStrictEqual(processor.split('Hello <thi'), { content: 'Hello ', reasoning: '' });
+    assert.deepStrictEqual(processor.split('nk>plan</think>done'), { content: 'done', reasoning: 'plan' });
+});
+
+test('holds back a partial closing tag until the next chunk', () => {
+    const processor = new ThinkTagStreamProcessor();
+    assert.deepStrictEqual(processor.split('<think>plan</th'), { content: '', reasoning: 'plan' });
+    assert.deepStrictEqual(processor.split('ink>answer'), { content: 'answer', reasoning: '' });
+});
+
+test('handles tags split one character at a time', () => {
+    const text = 'a<think>b</think>c';
+    assert.deepStrictEqual(streamAll([...text]), { content: 'ac', reasoning: 'b' });
+});
+
+test('releases held-back text that turned out not to be a tag', () => {
+    const processor = new ThinkTagStreamProcessor();
+    assert.deepStrictEqual(processor.split('1 <th'), { content: '1 ', reasoning: '' });
+    assert.deepStrictEqual(processor.split('e end'), { content: '<the end', reasoning: '' });
+});
+
+test('flush() releases a held-back partial tag as content', () => {
+    assert.deepStrictEqual(streamAll(['text <thi']), { content: 'text <thi', reasoning: '' });
+});
+
+test('flush() keeps an unterminated think block as reasoning', () => {
+    assert.deepStrictEqual(streamAll(['<think>cut off', ' here</thi']), { content: '', reasoning: 'cut off here</thi' });
+});
+
+test('recognizes configured tag pairs split across chunks', () => {
+    const tags = parseReasoningTags('<thinking>|</thinking>, ◁think▷|◁/think▷');
+    assert.deepStrictEqual(streamAll(['◁thi', 'nk▷x◁/', 'think▷y<thin', 'king>z</thinking>'], { tags }), { content: 'y', reasoning: 'xz' });
+});
+
+test('closing-tag-only mode treats text before the closing tag as reasoning', () => {
+    assert.deepStrictEqual(streamAll(['plan', 'ning</th', 'ink>answer'], { closingTagOnly: true }), { content: 'answer', reasoning: 'planning' });
+});
+
+test('closing-tag-only mode releases the text as content if the closing tag never comes', () => {
+    assert.deepStrictEqual(streamAll(['just an ', 'answer </th'], { closingTagOnly: true }), { content: 'just an answer </th', reasoning: '' });
+});
+
+test('parseReasoningTags ignores incomplete pairs', () => {
+    assert.strictEqual(parseReasoningTags(''), null);
+    assert.deepStrictEqual(parseReasoningTags('<a>|</a>, <b>'), [{ open: '<a>', close: '</a>' }]);
+});